@@ -1,82 +1,696 @@
 'use strict'
-const { TextEncoder, TextDecoder } = require('util')
 const {
+  globalThis,
   ObjectCreate,
+  ObjectKeys,
+  ObjectPrototypeHasOwnProperty,
+  Error,
   ObjectDefineProperties,
   FunctionPrototypeBind,
+  FunctionPrototypeCall,
   FunctionPrototypeSymbolHasInstance,
+  Promise,
+  PromiseAll,
+  PromisePrototypeThen,
+  SafeMap,
   Symbol,
   SymbolToStringTag,
+  SymbolIterator,
+  SymbolAsyncIterator,
   RangeError,
   SyntaxError,
   TypeError,
   NumberMAX_SAFE_INTEGER,
   NumberMIN_SAFE_INTEGER,
   NumberPrototypeToString,
+  NumberParseInt,
+  NumberIsSafeInteger,
+  JSONStringify,
+  JSONParse,
   BigInt,
+  Number,
+  ArrayBuffer,
+  DataView,
+  DataViewPrototypeGetBuffer,
+  DataViewPrototypeGetByteLength,
+  DataViewPrototypeGetByteOffset,
+  DataViewPrototypeGetBigUint64,
+  DataViewPrototypeGetFloat32,
+  DataViewPrototypeGetFloat64,
+  DataViewPrototypeGetUint32,
+  DataViewPrototypeSetBigUint64,
+  DataViewPrototypeSetFloat32,
+  DataViewPrototypeSetFloat64,
+  DataViewPrototypeSetUint32,
   MathFloor,
   MathMax,
   MathMin,
+  MathCeil,
+  ArrayPrototypeIndexOf,
+  ArrayPrototypePush,
+  ArrayPrototypePop,
+  ArrayPrototypeShift,
+  ArrayPrototypeJoin,
+  ArrayPrototypeFilter,
+  ArrayPrototypeMap,
+  ArrayPrototypeIncludes,
+  ArrayPrototypeSort,
+  ArrayPrototypeSplice,
+  ArrayIsArray,
   String,
   StringPrototypeCharCodeAt,
+  StringPrototypeIndexOf,
+  StringPrototypeReplace,
   StringPrototypeRepeat,
+  StringPrototypeSlice,
+  StringPrototypeToLowerCase,
+  StringPrototypeToUpperCase,
+  StringPrototypeIncludes,
+  StringPrototypeLastIndexOf,
+  StringPrototypeStartsWith,
+  StringPrototypeEndsWith,
+  StringPrototypeTrimEnd,
+  StringFromCharCode,
+  StringPrototypePadStart,
+  TypedArrayPrototypeFill,
+  TypedArrayPrototypeCopyWithin,
+  TypedArrayPrototypeIndexOf,
+  TypedArrayPrototypeGetLength,
+  TypedArrayPrototypeGetBuffer,
+  TypedArrayPrototypeGetByteLength,
+  TypedArrayPrototypeGetByteOffset,
+  TypedArrayPrototypeSet,
+  TypedArrayPrototypeSlice,
+  TypedArrayPrototypeSubarray,
   Uint8Array,
+  Uint16Array,
+  Uint32Array,
+  PrimitivesIsBoolean,
   PrimitivesIsString,
+  TypesIsObject,
+  TypesIsFunction,
+  TypesIsAnyArrayBuffer,
+  TypesIsArrayBufferView,
+  TypesIsDataView,
   InstancesIsUint8Array,
   TypesToIntegerOrInfinity,
   TypesToBigInt,
+  TypesToNumber,
   TypesToLength
 } = require('@darkwolf/primordials')
 
+const {TextEncoder, TextDecoder} = globalThis
+
 const textEncoder = new TextEncoder()
 const stringToUint8Array = FunctionPrototypeBind(TextEncoder.prototype.encode, textEncoder)
-
 const textDecoder = new TextDecoder()
 const uint8ArrayToString = FunctionPrototypeBind(TextDecoder.prototype.decode, textDecoder)
 
+const encodingSymbol = Symbol('encoding')
+const bitsPerCharSymbol = Symbol('bitsPerChar')
+const radixSymbol = Symbol('radix')
+const charsPerGroupSymbol = Symbol('charsPerGroup')
+const charsPerWordSymbol = Symbol('charsPerWord')
 const alphabetSymbol = Symbol('alphabet')
 const alphabetLookupSymbol = Symbol('alphabetLookup')
 const baseMapSymbol = Symbol('baseMap')
-const baseMapLookupSymbol = Symbol('baseMapLookup')
+const pairMapSymbol = Symbol('pairMap')
+const decodeTableSymbol = Symbol('decodeTable')
+const paddingSymbol = Symbol('padding')
+const paddingCharSymbol = Symbol('paddingChar')
+const negativeCharSymbol = Symbol('negativeChar')
+const signedSymbol = Symbol('signed')
+const strictSymbol = Symbol('strict')
+const ignoreCaseSymbol = Symbol('ignoreCase')
+const ignoreWhitespaceSymbol = Symbol('ignoreWhitespace')
+const lineLengthSymbol = Symbol('lineLength')
+const lineSeparatorSymbol = Symbol('lineSeparator')
+const encodeSymbol = Symbol('encode')
+const decodeSymbol = Symbol('decode')
 const encodeToStringSymbol = Symbol('encodeToString')
 const decodeFromStringSymbol = Symbol('decodeFromString')
+const base64Symbol = Symbol('base64')
+const outputSymbol = Symbol('output')
+const remainderSymbol = Symbol('remainder')
+const columnSymbol = Symbol('column')
+const offsetSymbol = Symbol('offset')
+const encoderSymbol = Symbol('encoder')
+const workerConfigSymbol = Symbol('workerConfig')
+const encodeIntegerSymbol = Symbol('encodeInteger')
+const decodeIntegerSymbol = Symbol('decodeInteger')
+const validateCanonicalIntegerSymbol = Symbol('validateCanonicalInteger')
+const encodeFloatSymbol = Symbol('encodeFloat')
+const decodeFloatSymbol = Symbol('decodeFloat')
+const decodeCoreSymbol = Symbol('decodeCore')
+const encodeIterableSymbol = Symbol('encodeIterable')
+const decodeIterableSymbol = Symbol('decodeIterable')
+const textEncoderSymbol = Symbol('textEncoder')
+const textDecodersSymbol = Symbol('textDecoders')
+const textToUint8ArraySymbol = Symbol('textToUint8Array')
+const uint8ArrayToTextSymbol = Symbol('uint8ArrayToText')
+const encodeVLQSymbol = Symbol('encodeVLQ')
+const decodeVLQSymbol = Symbol('decodeVLQ')
+const decodeForgivingSymbol = Symbol('decodeForgiving')
+const decoderSymbol = Symbol('decoder')
+const readableSymbol = Symbol('readable')
+const writableSymbol = Symbol('writable')
 
 const BASE = 64
 
 const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+const SORTABLE_ALPHABET = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz'
+const BASE16_ALPHABET = '0123456789ABCDEF'
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const BASE32HEX_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUV'
 
 const BITS_PER_CHAR = 6
 
+const PADDING = 'optional'
 const PADDING_CHAR = '='
 const NEGATIVE_CHAR = '-'
+const SIGNED = 'prefix'
+const INTEGER_TYPE = 'number'
+const ON_INVALID = 'throw'
+const TEXT_ENCODING = 'utf-8'
+
+const LINE_SEPARATOR = '\r\n'
+const MIME_LINE_LENGTH = 76
+const PEM_LINE_LENGTH = 64
+
+const VLQ_SHIFT = 5
+const VLQ_BASE = 32
+const VLQ_MAX_DIGITS = 7
+const VLQ_MIN_VALUE = -2147483648
+const VLQ_MAX_VALUE = 2147483647
+
+const ASYNC_THRESHOLD = 1048576
+const ASYNC_CHUNK_LENGTH = 1048576
+
+const workerFilename = require.resolve('./worker.cjs')
+
+const floatView = new DataView(new ArrayBuffer(8))
+
+const initializeError = (error, options, code) => {
+  options = toOptions(options)
+  error.code = options.code === undefined ? code : options.code
+  error.index = options.index
+  error.character = options.character
+  error.byte = options.byte
+  error.input = options.input
+}
+
+class RadixInvalidCharacterError extends SyntaxError {
+  constructor(message, options, code = 'ERR_RADIX_INVALID_CHARACTER') {
+    super(message)
+    initializeError(this, options, code)
+  }
+}
+
+class RadixPaddingError extends SyntaxError {
+  constructor(message, options, code = 'ERR_RADIX_UNEXPECTED_PADDING') {
+    super(message)
+    initializeError(this, options, code)
+  }
+}
+
+class RadixLengthError extends SyntaxError {
+  constructor(message, options, code = 'ERR_RADIX_INVALID_LENGTH') {
+    super(message)
+    initializeError(this, options, code)
+  }
+}
+
+class Base64InvalidCharacterError extends RadixInvalidCharacterError {
+  constructor(message, options) {
+    super(message, options, 'ERR_BASE64_INVALID_CHARACTER')
+  }
+}
+
+class Base64PaddingError extends RadixPaddingError {
+  constructor(message, options) {
+    super(message, options, 'ERR_BASE64_UNEXPECTED_PADDING')
+  }
+}
+
+class Base64LengthError extends RadixLengthError {
+  constructor(message, options) {
+    super(message, options, 'ERR_BASE64_INVALID_LENGTH')
+  }
+}
+
+class Base64PEMError extends SyntaxError {
+  constructor(message, options) {
+    super(message)
+    initializeError(this, options, 'ERR_BASE64_PEM_INVALID_BOUNDARY')
+    options = toOptions(options)
+    this.label = options.label
+    this.line = options.line
+    this.column = options.column
+    if (options.cause !== undefined) {
+      this.cause = options.cause
+    }
+  }
+}
+
+class Base64ArmorError extends SyntaxError {
+  constructor(message, options) {
+    super(message)
+    initializeError(this, options, 'ERR_BASE64_ARMOR_INVALID_BOUNDARY')
+    options = toOptions(options)
+    this.type = options.type
+    this.line = options.line
+    this.column = options.column
+    if (options.cause !== undefined) {
+      this.cause = options.cause
+    }
+  }
+}
+
+class Base64ChecksumError extends SyntaxError {
+  constructor(message, options) {
+    super(message)
+    initializeError(this, options, 'ERR_BASE64_ARMOR_CHECKSUM_MISMATCH')
+    options = toOptions(options)
+    this.type = options.type
+    this.line = options.line
+    this.expected = options.expected
+    this.actual = options.actual
+  }
+}
+
+class Base64JWSError extends Error {
+  constructor(message, options) {
+    super(message)
+    initializeError(this, options, 'ERR_BASE64_JWS_MALFORMED')
+    options = toOptions(options)
+    this.segment = options.segment
+    this.algorithm = options.algorithm
+    if (options.cause !== undefined) {
+      this.cause = options.cause
+    }
+  }
+}
+
+const radixErrors = {
+  invalidCharacter: RadixInvalidCharacterError,
+  padding: RadixPaddingError,
+  length: RadixLengthError
+}
+const base64Errors = {
+  invalidCharacter: Base64InvalidCharacterError,
+  padding: Base64PaddingError,
+  length: Base64LengthError
+}
+
+const base64Encoding = {
+  name: 'Base64',
+  code: 'BASE64',
+  errors: base64Errors,
+  bitsPerChar: BITS_PER_CHAR,
+  alphabet: ALPHABET,
+  ignoreCase: false
+}
+const base16Encoding = {
+  name: 'Base16',
+  code: 'BASE16',
+  errors: radixErrors,
+  bitsPerChar: 4,
+  alphabet: BASE16_ALPHABET,
+  ignoreCase: true
+}
+const base32Encoding = {
+  name: 'Base32',
+  code: 'BASE32',
+  errors: radixErrors,
+  bitsPerChar: 5,
+  alphabet: BASE32_ALPHABET,
+  ignoreCase: true
+}
+const base32HexEncoding = {
+  name: 'Base32Hex',
+  code: 'BASE32HEX',
+  errors: radixErrors,
+  bitsPerChar: 5,
+  alphabet: BASE32HEX_ALPHABET,
+  ignoreCase: true
+}
+
+const createInvalidCharacterError = (input, index, character, encoding = base64Encoding) => new encoding.errors.invalidCharacter(`Invalid character "${character}" at index ${index} for ${encoding.name} encoding`, {
+  code: `ERR_${encoding.code}_INVALID_CHARACTER`,
+  index,
+  character,
+  input
+})
+
+const createOverlongVLQError = (input, index) => new Base64LengthError(`Overlong VLQ sequence at index ${index}`, {
+  code: 'ERR_BASE64_OVERLONG_VLQ',
+  index,
+  input
+})
+
+const createDOMInvalidCharacterError = message => {
+  const {DOMException} = globalThis
+  if (DOMException !== undefined) {
+    return new DOMException(message, 'InvalidCharacterError')
+  }
+  const error = new Error(message)
+  error.name = 'InvalidCharacterError'
+  error.code = 5
+  return error
+}
+
+const describeCharCode = (charCode, isString) => isString
+  ? `character "${StringFromCharCode(charCode)}"`
+  : `byte "${NumberPrototypeToString(charCode, 16)}"`
+
+const createDecodeError = (encoding, type, description, code, index, charCode, isString, input) => new encoding.errors[type](`${description} ${describeCharCode(charCode, isString)} at index ${index} for ${encoding.name} encoding`, {
+  code: `ERR_${encoding.code}_${code}`,
+  index,
+  character: isString ? StringFromCharCode(charCode) : undefined,
+  byte: isString ? undefined : charCode,
+  input
+})
+
+const getOtherCaseChar = char => {
+  const lowerCaseChar = StringPrototypeToLowerCase(char)
+  const otherCaseChar = lowerCaseChar === char ? StringPrototypeToUpperCase(char) : lowerCaseChar
+  if (otherCaseChar === char || otherCaseChar.length !== 1 || StringPrototypeCharCodeAt(otherCaseChar) > 0xff) {
+    return
+  }
+  return otherCaseChar
+}
+
+const isCompleteRemainder = (remainder, bitsPerChar) => MathCeil((remainder * bitsPerChar >> 3) * 8 / bitsPerChar) === remainder
 
-const createAlphabetLookups = alphabet => {
+const createAlphabetLookups = (alphabet, radix, ignoreCase) => {
   const lookup = ObjectCreate(null)
-  const baseMap = new Uint8Array(BASE)
-  const baseMapLookup = ObjectCreate(null)
-  for (let i = 0; i < BASE; i++) {
+  const baseMap = new Uint8Array(radix)
+  const pairMap = new Uint16Array(radix * radix)
+  const decodeTable = TypedArrayPrototypeFill(new Uint8Array(256), 0xff)
+  for (let i = 0; i < radix; i++) {
     const char = alphabet[i]
     const charCode = StringPrototypeCharCodeAt(char)
     lookup[char] = i
     baseMap[i] = charCode
-    baseMapLookup[charCode] = i
+    decodeTable[charCode] = i
+    if (ignoreCase) {
+      const otherCaseChar = getOtherCaseChar(char)
+      if (otherCaseChar !== undefined) {
+        lookup[otherCaseChar] = i
+        decodeTable[StringPrototypeCharCodeAt(otherCaseChar)] = i
+      }
+    }
+  }
+  for (let i = 0; i < radix; i++) {
+    for (let j = 0; j < radix; j++) {
+      pairMap[i * radix + j] = baseMap[i] << 8 | baseMap[j]
+    }
   }
   return {
     lookup,
     baseMap,
-    baseMapLookup
+    pairMap,
+    decodeTable
+  }
+}
+
+const getCharCode = (input, isString, index) => isString ? StringPrototypeCharCodeAt(input, index) : input[index]
+
+const isWhitespaceCharCode = charCode => charCode === 0x20 || charCode === 0x0a || charCode === 0x0d || charCode === 0x09 || charCode === 0x0c
+
+const stripWhitespaceFromString = (string, startIndex, endIndex) => {
+  let result = ''
+  let whitespaceMap
+  let skipCount = 0
+  let chunkIndex = startIndex
+  let index = startIndex
+  while (index < endIndex) {
+    if (!isWhitespaceCharCode(StringPrototypeCharCodeAt(string, index))) {
+      index++
+      continue
+    }
+    result += StringPrototypeSlice(string, chunkIndex, index)
+    const whitespaceIndex = index++
+    while (index < endIndex && isWhitespaceCharCode(StringPrototypeCharCodeAt(string, index))) {
+      index++
+    }
+    if (whitespaceMap === undefined) {
+      whitespaceMap = {
+        startIndex,
+        indices: [],
+        skipCounts: []
+      }
+    }
+    skipCount += index - whitespaceIndex
+    ArrayPrototypePush(whitespaceMap.indices, result.length)
+    ArrayPrototypePush(whitespaceMap.skipCounts, skipCount)
+    chunkIndex = index
+  }
+  if (whitespaceMap === undefined) {
+    return
+  }
+  result += StringPrototypeSlice(string, chunkIndex, endIndex)
+  return {
+    result,
+    whitespaceMap
+  }
+}
+
+const stripWhitespaceFromUint8Array = (input, startIndex, endIndex) => {
+  let result
+  let whitespaceMap
+  let resultIndex = 0
+  let skipCount = 0
+  let index = startIndex
+  while (index < endIndex) {
+    const charCode = input[index]
+    if (!isWhitespaceCharCode(charCode)) {
+      if (result !== undefined) {
+        result[resultIndex] = charCode
+      }
+      resultIndex++
+      index++
+      continue
+    }
+    const whitespaceIndex = index++
+    while (index < endIndex && isWhitespaceCharCode(input[index])) {
+      index++
+    }
+    if (whitespaceMap === undefined) {
+      result = new Uint8Array(endIndex - startIndex)
+      TypedArrayPrototypeSet(result, TypedArrayPrototypeSubarray(input, startIndex, whitespaceIndex))
+      whitespaceMap = {
+        startIndex,
+        indices: [],
+        skipCounts: []
+      }
+    }
+    skipCount += index - whitespaceIndex
+    ArrayPrototypePush(whitespaceMap.indices, resultIndex)
+    ArrayPrototypePush(whitespaceMap.skipCounts, skipCount)
+  }
+  if (whitespaceMap === undefined) {
+    return
+  }
+  return {
+    result: TypedArrayPrototypeSubarray(result, 0, resultIndex),
+    whitespaceMap
+  }
+}
+
+const toSourceIndex = (whitespaceMap, index) => {
+  if (whitespaceMap === undefined) {
+    return index
+  }
+  const {indices, skipCounts} = whitespaceMap
+  let low = 0
+  let high = indices.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (indices[middle] <= index) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return whitespaceMap.startIndex + index + (low ? skipCounts[low - 1] : 0)
+}
+
+const advanceColumn = (column, length, lineLength) => {
+  if (!lineLength || column + length <= lineLength) {
+    return column + length
+  }
+  return (length - (lineLength - column) - 1) % lineLength + 1
+}
+
+const wrapString = (string, lineLength, lineSeparator, column = 0) => {
+  const {length} = string
+  const firstLineLength = lineLength - column
+  if (!lineLength || length <= firstLineLength) {
+    return string
+  }
+  let result = StringPrototypeSlice(string, 0, firstLineLength)
+  for (let i = firstLineLength; i < length; i += lineLength) {
+    result += `${lineSeparator}${StringPrototypeSlice(string, i, i + lineLength)}`
+  }
+  return result
+}
+
+const wrapUint8Array = (input, lineLength, lineSeparator, column = 0) => {
+  const length = TypedArrayPrototypeGetLength(input)
+  const firstLineLength = lineLength - column
+  if (!lineLength || length <= firstLineLength) {
+    return input
+  }
+  const separatorLength = lineSeparator.length
+  const separatorCount = MathFloor((length - firstLineLength - 1) / lineLength) + 1
+  const result = new Uint8Array(length + separatorCount * separatorLength)
+  TypedArrayPrototypeSet(result, TypedArrayPrototypeSubarray(input, 0, firstLineLength))
+  let resultIndex = firstLineLength
+  for (let i = firstLineLength; i < length; i += lineLength) {
+    for (let j = 0; j < separatorLength; j++) {
+      result[resultIndex++] = StringPrototypeCharCodeAt(lineSeparator, j)
+    }
+    const line = TypedArrayPrototypeSubarray(input, i, i + lineLength)
+    TypedArrayPrototypeSet(result, line, resultIndex)
+    resultIndex += TypedArrayPrototypeGetLength(line)
+  }
+  return result
+}
+
+const wrapUint8ArrayInPlace = (input, offset, length, lineLength, lineSeparator) => {
+  if (!lineLength || length <= lineLength) {
+    return length
+  }
+  const separatorLength = lineSeparator.length
+  const lastLine = MathFloor((length - 1) / lineLength)
+  const wrappedLength = length + lastLine * separatorLength
+  let sourceEndIndex = offset + length
+  let targetIndex = offset + wrappedLength
+  for (let line = lastLine; line > 0; line--) {
+    const sourceIndex = offset + line * lineLength
+    targetIndex -= sourceEndIndex - sourceIndex
+    TypedArrayPrototypeCopyWithin(input, targetIndex, sourceIndex, sourceEndIndex)
+    targetIndex -= separatorLength
+    for (let j = 0; j < separatorLength; j++) {
+      input[targetIndex + j] = StringPrototypeCharCodeAt(lineSeparator, j)
+    }
+    sourceEndIndex = sourceIndex
+  }
+  return wrappedLength
+}
+
+const getEncodedLength = (byteLength, isPadded, lineLength, separatorLength) => {
+  const length = isPadded ? MathCeil(byteLength / 3) * 4 : MathCeil(byteLength * 4 / 3)
+  return lineLength && length > lineLength ? length + MathFloor((length - 1) / lineLength) * separatorLength : length
+}
+
+const getDecodedLength = (input, paddingCharCode, ignoreWhitespace) => {
+  const isString = PrimitivesIsString(input)
+  const length = isString ? input.length : TypedArrayPrototypeGetLength(input)
+  let validLength = length
+  if (ignoreWhitespace) {
+    for (let i = 0; i < length; i++) {
+      if (isWhitespaceCharCode(isString ? StringPrototypeCharCodeAt(input, i) : input[i])) {
+        validLength--
+      }
+    }
+  }
+  for (let i = length - 1; i >= 0; i--) {
+    const charCode = isString ? StringPrototypeCharCodeAt(input, i) : input[i]
+    if (charCode === paddingCharCode) {
+      validLength--
+    } else if (!ignoreWhitespace || !isWhitespaceCharCode(charCode)) {
+      break
+    }
+  }
+  return validLength * 3 >> 2
+}
+
+const toUint8Array = value => {
+  if (InstancesIsUint8Array(value)) {
+    return value
+  }
+  if (TypesIsAnyArrayBuffer(value)) {
+    return new Uint8Array(value)
+  }
+  if (TypesIsDataView(value)) {
+    return new Uint8Array(DataViewPrototypeGetBuffer(value), DataViewPrototypeGetByteOffset(value), DataViewPrototypeGetByteLength(value))
+  }
+  if (TypesIsArrayBufferView(value)) {
+    return new Uint8Array(TypedArrayPrototypeGetBuffer(value), TypedArrayPrototypeGetByteOffset(value), TypedArrayPrototypeGetByteLength(value))
+  }
+}
+
+const toBufferSource = value => {
+  const result = toUint8Array(value)
+  if (result === undefined) {
+    throw new TypeError('The input must be an ArrayBuffer or an ArrayBufferView')
+  }
+  return result
+}
+
+const toStringOrBufferSource = value => {
+  if (PrimitivesIsString(value)) {
+    return value
+  }
+  const result = toUint8Array(value)
+  if (result === undefined) {
+    throw new TypeError('The input must be a string, an ArrayBuffer or an ArrayBufferView')
+  }
+  return result
+}
+
+const isIterable = value => value !== null && value !== undefined && !PrimitivesIsString(value) &&
+  (TypesIsFunction(value[SymbolAsyncIterator]) || TypesIsFunction(value[SymbolIterator]))
+
+const joinUint8Arrays = arrays => {
+  let resultLength = 0
+  for (let i = 0; i < arrays.length; i++) {
+    resultLength += TypedArrayPrototypeGetLength(arrays[i])
   }
+  const result = new Uint8Array(resultLength)
+  let resultIndex = 0
+  for (let i = 0; i < arrays.length; i++) {
+    TypedArrayPrototypeSet(result, arrays[i], resultIndex)
+    resultIndex += TypedArrayPrototypeGetLength(arrays[i])
+  }
+  return result
+}
+
+const concatUint8Arrays = (a, b) => {
+  const aLength = TypedArrayPrototypeGetLength(a)
+  if (!aLength) {
+    return b
+  }
+  const result = new Uint8Array(aLength + TypedArrayPrototypeGetLength(b))
+  TypedArrayPrototypeSet(result, a)
+  TypedArrayPrototypeSet(result, b, aLength)
+  return result
+}
+
+const latin1StringToUint8Array = (string, indexOffset = 0) => {
+  const {length} = string
+  const result = new Uint8Array(length)
+  for (let i = 0; i < length; i++) {
+    const charCode = StringPrototypeCharCodeAt(string, i)
+    if (charCode > 0xff) {
+      throw createInvalidCharacterError(string, indexOffset + i, string[i])
+    }
+    result[i] = charCode
+  }
+  return result
 }
 
 const isAlphabet = value => {
   if (!PrimitivesIsString(value) || value.length !== BASE) {
     return false
   }
-  const alphabetLookup = base64[alphabetLookupSymbol]
   const uniqueCharsLookup = ObjectCreate(null)
   for (let i = 0; i < BASE; i++) {
     const char = value[i]
-    if (alphabetLookup[char] === undefined || uniqueCharsLookup[char] !== undefined) {
+    if (StringPrototypeCharCodeAt(char) > 0xff || char === PADDING_CHAR || uniqueCharsLookup[char] !== undefined) {
       return false
     }
     uniqueCharsLookup[char] = i
@@ -84,22 +698,22 @@ const isAlphabet = value => {
   return true
 }
 
-const toAlphabet = value => {
+const toAlphabet = (value, encoding) => {
   if (value === undefined) {
-    return ALPHABET
+    return encoding.alphabet
   }
   if (!PrimitivesIsString(value)) {
     throw new TypeError('The alphabet must be a string')
   }
-  if (value.length !== BASE) {
-    throw new RangeError('The length of the alphabet must be equal to 64')
+  const radix = 1 << encoding.bitsPerChar
+  if (value.length !== radix) {
+    throw new RangeError(`The length of the alphabet must be equal to ${radix}`)
   }
-  const alphabetLookup = base64[alphabetLookupSymbol]
   const uniqueCharsLookup = ObjectCreate(null)
-  for (let i = 0; i < BASE; i++) {
+  for (let i = 0; i < radix; i++) {
     const char = value[i]
-    if (alphabetLookup[char] === undefined) {
-      throw new SyntaxError(`Invalid character "${char}" at index ${i} for the Base64 alphabet`)
+    if (StringPrototypeCharCodeAt(char) > 0xff) {
+      throw new SyntaxError(`Invalid character "${char}" at index ${i} for the ${encoding.name} alphabet`)
     }
     if (uniqueCharsLookup[char] !== undefined) {
       throw new SyntaxError(`The character "${char}" at index ${i} is already in the alphabet`)
@@ -109,121 +723,772 @@ const toAlphabet = value => {
   return value
 }
 
-const isBase64String = value => {
-  if (!PrimitivesIsString(value)) {
-    return false
+const toIgnoreCase = (value, alphabet, encoding) => {
+  const {length} = alphabet
+  let conflictIndex = -1
+  for (let i = 0; i < length; i++) {
+    const otherCaseChar = getOtherCaseChar(alphabet[i])
+    if (otherCaseChar !== undefined && StringPrototypeIncludes(alphabet, otherCaseChar)) {
+      conflictIndex = i
+      break
+    }
   }
-  const {length} = value
-  if (length % 4 !== 0) {
-    return false
+  if (value === undefined) {
+    return encoding.ignoreCase && conflictIndex === -1
   }
-  const alphabetLookup = base64[alphabetLookupSymbol]
-  const lastIndex = length - 1
-  let paddingCount = 0
-  while (paddingCount < length && paddingCount < 2 && value[lastIndex - paddingCount] === PADDING_CHAR) {
-    paddingCount++
+  if (value && conflictIndex !== -1) {
+    throw new SyntaxError(`Case cannot be ignored because the alphabet contains both cases of the character "${alphabet[conflictIndex]}"`)
   }
-  const validLength = length - paddingCount
-  for (let i = 0; i < validLength; i++) {
-    const char = value[i]
-    if (alphabetLookup[char] === undefined) {
-      return false
-    }
+  return !!value
+}
+
+const toOptions = value => {
+  if (value === undefined) {
+    return ObjectCreate(null)
   }
-  return true
+  if (!TypesIsObject(value)) {
+    throw new TypeError('The options must be an object')
+  }
+  return value
 }
 
-class Base64 {
-  constructor(alphabet) {
-    alphabet = toAlphabet(alphabet)
-    const lookups = createAlphabetLookups(alphabet)
-    this[alphabetSymbol] = alphabet
-    this[alphabetLookupSymbol] = lookups.lookup
-    this[baseMapSymbol] = lookups.baseMap
-    this[baseMapLookupSymbol] = lookups.baseMapLookup
+const toPadding = value => {
+  if (value === undefined) {
+    return PADDING
+  }
+  if (value !== 'always' && value !== 'never' && value !== 'optional') {
+    throw new TypeError('The padding must be "always", "never" or "optional"')
   }
+  return value
+}
 
-  get alphabet() {
-    return this[alphabetSymbol]
+const toPaddingChar = (value, alphabetLookup) => {
+  if (value === undefined) {
+    value = PADDING_CHAR
+  } else if (!PrimitivesIsString(value)) {
+    throw new TypeError('The padding character must be a string')
+  } else if (value.length !== 1) {
+    throw new RangeError('The length of the padding character must be equal to 1')
+  } else if (StringPrototypeCharCodeAt(value) > 0xff) {
+    throw new SyntaxError(`Invalid padding character "${value}"`)
+  }
+  if (alphabetLookup[value] !== undefined) {
+    throw new SyntaxError(`The padding character "${value}" is already in the alphabet`)
   }
+  return value
+}
 
-  encodeInt(value) {
-    let number = TypesToIntegerOrInfinity(value)
-    if (number < NumberMIN_SAFE_INTEGER) {
-      throw new RangeError('The value must be greater than or equal to the minimum safe integer')
-    } else if (number > NumberMAX_SAFE_INTEGER) {
-      throw new RangeError('The value must be less than or equal to the maximum safe integer')
-    }
-    const alphabet = this[alphabetSymbol]
-    if (!number) {
-      return alphabet[0]
-    }
-    const isNegative = number < 0
-    if (isNegative) {
-      number = -number
-    }
-    let result = ''
-    while (number) {
-      result = `${alphabet[number % BASE]}${result}`
-      number = MathFloor(number / BASE)
-    }
-    return isNegative ? `${NEGATIVE_CHAR}${result}` : result
+const toNegativeChar = (value, alphabetLookup, paddingChar) => {
+  if (value === undefined) {
+    return alphabetLookup[NEGATIVE_CHAR] === undefined && NEGATIVE_CHAR !== paddingChar ? NEGATIVE_CHAR : null
+  }
+  if (value === null) {
+    return null
+  }
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The negative character must be a string or null')
+  }
+  if (value.length !== 1) {
+    throw new RangeError('The length of the negative character must be equal to 1')
   }
+  if (alphabetLookup[value] !== undefined) {
+    throw new SyntaxError(`The negative character "${value}" is already in the alphabet`)
+  }
+  if (value === paddingChar) {
+    throw new SyntaxError(`The negative character "${value}" is already used for padding`)
+  }
+  return value
+}
 
-  decodeInt(string) {
-    string = String(string)
-    const alphabetLookup = this[alphabetLookupSymbol]
-    const {length} = string
-    const isNegative = string[0] === NEGATIVE_CHAR
-    let result = 0
-    for (let i = isNegative && length > 1 ? 1 : 0; i < length; i++) {
-      const char = string[i]
-      const index = alphabetLookup[char]
-      if (index === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${i} for Base64 encoding`)
-      }
-      result = result * BASE + index
-    }
-    return isNegative && result > 0 ? -result : result
+const toLineLength = value => {
+  if (value === undefined) {
+    return 0
+  }
+  const lineLength = TypesToIntegerOrInfinity(value)
+  if (lineLength < 0 || lineLength > NumberMAX_SAFE_INTEGER) {
+    throw new RangeError('The line length must be a non-negative safe integer')
   }
+  return lineLength
+}
 
-  encodeBigInt(value) {
-    let bigInt = TypesToBigInt(value)
-    const alphabet = this[alphabetSymbol]
-    if (!bigInt) {
-      return alphabet[0]
+const toLineSeparator = (value, alphabetLookup) => {
+  if (value === undefined) {
+    return LINE_SEPARATOR
+  }
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The line separator must be a string')
+  }
+  const {length} = value
+  if (!length) {
+    throw new RangeError('The line separator must not be empty')
+  }
+  for (let i = 0; i < length; i++) {
+    const char = value[i]
+    if (!isWhitespaceCharCode(StringPrototypeCharCodeAt(char))) {
+      throw new SyntaxError(`Invalid character "${char}" at index ${i} for the line separator, only ASCII whitespace is allowed`)
     }
-    const isNegative = bigInt < 0n
-    if (isNegative) {
-      bigInt = -bigInt
+    if (alphabetLookup[char] !== undefined) {
+      throw new SyntaxError(`The line separator character "${char}" at index ${i} is already in the alphabet`)
     }
-    let result = ''
-    while (bigInt) {
-      result = `${alphabet[bigInt % 64n]}${result}`
-      bigInt /= 64n
+  }
+  return value
+}
+
+const validateWhitespace = (alphabetLookup, paddingChar) => {
+  const whitespaceChars = ' \n\r\t\f'
+  for (let i = 0; i < whitespaceChars.length; i++) {
+    const char = whitespaceChars[i]
+    if (alphabetLookup[char] !== undefined || char === paddingChar) {
+      throw new SyntaxError(`Whitespace cannot be ignored because the character "${char}" is part of the encoding`)
     }
-    return isNegative ? `${NEGATIVE_CHAR}${result}` : result
   }
+}
 
-  decodeBigInt(string) {
-    string = String(string)
+const toOutput = value => {
+  if (value === undefined) {
+    return 'uint8array'
+  }
+  if (value !== 'uint8array' && value !== 'string') {
+    throw new TypeError('The output must be "uint8array" or "string"')
+  }
+  return value
+}
+
+const toOffset = (value, output) => {
+  const length = TypedArrayPrototypeGetLength(output)
+  if (value === undefined) {
+    return 0
+  }
+  const offset = TypesToIntegerOrInfinity(value)
+  if (offset < 0 || offset > length) {
+    throw new RangeError(`The offset must be between 0 and ${length}`)
+  }
+  return offset
+}
+
+const encodedLength = (byteLength, options) => {
+  byteLength = TypesToLength(byteLength)
+  options = toOptions(options)
+  const lineLength = toLineLength(options.lineLength)
+  return getEncodedLength(byteLength, toPadding(options.padding) !== 'never', lineLength, lineLength && toLineSeparator(options.lineSeparator, base64[alphabetLookupSymbol]).length)
+}
+
+const decodedLength = (input, options) => {
+  input = toStringOrBufferSource(input)
+  options = toOptions(options)
+  const paddingChar = toPaddingChar(options.paddingChar, base64[alphabetLookupSymbol])
+  return getDecodedLength(input, StringPrototypeCharCodeAt(paddingChar), options.ignoreWhitespace === undefined ? options.lineLength > 0 : !!options.ignoreWhitespace)
+}
+
+const toSignal = value => {
+  if (value === undefined) {
+    return value
+  }
+  if (!TypesIsObject(value) || !PrimitivesIsBoolean(value.aborted)) {
+    throw new TypeError('The signal must be an instance of AbortSignal')
+  }
+  return value
+}
+
+const createAbortError = signal => {
+  if (signal.reason !== undefined) {
+    return signal.reason
+  }
+  const error = new Error('The operation was aborted')
+  error.name = 'AbortError'
+  error.code = 'ABORT_ERR'
+  return error
+}
+
+const greatestCommonDivisor = (a, b) => {
+  while (b) {
+    const remainder = a % b
+    a = b
+    b = remainder
+  }
+  return a
+}
+
+const getEncodeChunkLength = lineLength => {
+  const charsPerChunk = lineLength ? lineLength * 4 / greatestCommonDivisor(lineLength, 4) : 4
+  return MathCeil(ASYNC_CHUNK_LENGTH / charsPerChunk) * charsPerChunk * 3 / 4
+}
+
+const toSigned = (value, defaultValue) => {
+  if (value === undefined) {
+    return defaultValue
+  }
+  if (value !== 'prefix' && value !== 'twos-complement' && value !== 'zigzag' && value !== 'sortable') {
+    throw new TypeError('The signed must be "prefix", "twos-complement", "zigzag" or "sortable"')
+  }
+  return value
+}
+
+const toBits = (value, signed) => {
+  if (value === undefined) {
+    if (signed === 'twos-complement') {
+      throw new TypeError('The bits are required for the two\'s complement encoding')
+    }
+    return 0
+  }
+  const bits = TypesToIntegerOrInfinity(value)
+  if (bits < 1 || bits > NumberMAX_SAFE_INTEGER) {
+    throw new RangeError('The bits must be a positive safe integer')
+  }
+  return bits
+}
+
+const toWidth = (value, bits, signed, bitsPerChar) => {
+  if (value === undefined) {
+    return bits && MathCeil(bits / bitsPerChar) + (signed === 'prefix' ? 1 : 0)
+  }
+  if (signed === 'sortable' && !bits) {
+    throw new TypeError('The bits are required for the fixed-width sortable encoding')
+  }
+  const width = TypesToIntegerOrInfinity(value)
+  if (width < 1 || width > NumberMAX_SAFE_INTEGER) {
+    throw new RangeError('The width must be a positive safe integer')
+  }
+  return width
+}
+
+const toIntegerType = value => {
+  if (value === undefined) {
+    return INTEGER_TYPE
+  }
+  if (value !== 'number' && value !== 'bigint' && value !== 'auto') {
+    throw new TypeError('The type must be "number", "bigint" or "auto"')
+  }
+  return value
+}
+
+const toIntegerOptions = (value, defaultSigned, bitsPerChar) => {
+  const options = toOptions(value)
+  const signed = toSigned(options.signed, defaultSigned)
+  const bits = toBits(options.bits, signed)
+  return {
+    signed,
+    bits,
+    width: toWidth(options.width, bits, signed, bitsPerChar),
+    type: toIntegerType(options.type)
+  }
+}
+
+const toOnInvalid = value => {
+  if (value === undefined) {
+    return ON_INVALID
+  }
+  if (value !== 'throw' && value !== 'skip' && value !== 'replace') {
+    throw new TypeError('The onInvalid must be "throw", "skip" or "replace"')
+  }
+  return value
+}
+
+const defaultDecodeOptions = {
+  strict: undefined,
+  onInvalid: ON_INVALID,
+  onInvalidCharacter: undefined,
+  indexOffset: 0
+}
+
+const toDecodeOptions = value => {
+  if (value === undefined) {
+    return defaultDecodeOptions
+  }
+  const options = toOptions(value)
+  const {onInvalidCharacter} = options
+  if (onInvalidCharacter !== undefined && !TypesIsFunction(onInvalidCharacter)) {
+    throw new TypeError('The onInvalidCharacter must be a function')
+  }
+  return {
+    strict: options.strict === undefined ? undefined : !!options.strict,
+    onInvalid: toOnInvalid(options.onInvalid),
+    onInvalidCharacter,
+    indexOffset: 0
+  }
+}
+
+const toTextEncoding = value => {
+  if (value === undefined) {
+    return TEXT_ENCODING
+  }
+  const encoding = StringPrototypeToLowerCase(String(value))
+  if (encoding === 'utf8') {
+    return 'utf-8'
+  }
+  if (encoding === 'utf16le' || encoding === 'ucs2' || encoding === 'ucs-2') {
+    return 'utf-16le'
+  }
+  if (encoding === 'binary') {
+    return 'latin1'
+  }
+  return encoding
+}
+
+const toTextOptions = value => {
+  const options = toOptions(value)
+  return {
+    encoding: toTextEncoding(options.encoding),
+    fatal: !!options.fatal,
+    ignoreBOM: !!options.ignoreBOM
+  }
+}
+
+const findLoneSurrogate = string => {
+  const {length} = string
+  for (let i = 0; i < length; i++) {
+    const charCode = StringPrototypeCharCodeAt(string, i)
+    if (charCode >= 0xd800 && charCode <= 0xdbff) {
+      const nextCharCode = StringPrototypeCharCodeAt(string, i + 1)
+      if (nextCharCode >= 0xdc00 && nextCharCode <= 0xdfff) {
+        i++
+      } else {
+        return i
+      }
+    } else if (charCode >= 0xdc00 && charCode <= 0xdfff) {
+      return i
+    }
+  }
+  return -1
+}
+
+const toFloatOptions = (value, defaultSortable) => {
+  const options = toOptions(value)
+  return {
+    sortable: options.sortable === undefined ? defaultSortable : !!options.sortable
+  }
+}
+
+const getVariant = (input, isString) => {
+  const length = isString ? input.length : TypedArrayPrototypeGetLength(input)
+  let isStandard = false
+  let isURL = false
+  for (let i = 0; i < length; i++) {
+    const charCode = isString ? StringPrototypeCharCodeAt(input, i) : input[i]
+    if (charCode === 0x2b || charCode === 0x2f) {
+      isStandard = true
+    } else if (charCode === 0x2d || charCode === 0x5f) {
+      isURL = true
+    }
+  }
+  if (isStandard) {
+    return isURL ? 'mixed' : 'standard'
+  }
+  return isURL ? 'url' : null
+}
+
+const createValidationResult = (errorIndex, errorKind, paddingCount, decodedLength, variant) => ({
+  valid: errorKind === null,
+  errorIndex,
+  errorKind,
+  paddingCount,
+  decodedLength,
+  variant
+})
+
+const isBase64String = value => {
+  if (!PrimitivesIsString(value)) {
+    return false
+  }
+  const {length} = value
+  if (length % 4 !== 0) {
+    return false
+  }
+  const alphabetLookup = base64[alphabetLookupSymbol]
+  const lastIndex = length - 1
+  let paddingCount = 0
+  while (paddingCount < length && paddingCount < 2 && value[lastIndex - paddingCount] === PADDING_CHAR) {
+    paddingCount++
+  }
+  const validLength = length - paddingCount
+  for (let i = 0; i < validLength; i++) {
+    const char = value[i]
+    if (alphabetLookup[char] === undefined) {
+      return false
+    }
+  }
+  return true
+}
+
+class RadixCodec {
+  constructor(alphabet, options, encoding) {
+    const {bitsPerChar} = encoding
+    const radix = 1 << bitsPerChar
+    alphabet = toAlphabet(alphabet, encoding)
+    options = toOptions(options)
+    const ignoreCase = toIgnoreCase(options.ignoreCase, alphabet, encoding)
+    const lookups = createAlphabetLookups(alphabet, radix, ignoreCase)
+    const paddingChar = toPaddingChar(options.paddingChar, lookups.lookup)
+    this[encodingSymbol] = encoding
+    this[bitsPerCharSymbol] = bitsPerChar
+    this[radixSymbol] = radix
+    this[charsPerGroupSymbol] = 8 / greatestCommonDivisor(8, bitsPerChar)
+    this[charsPerWordSymbol] = 24 % bitsPerChar ? 0 : 24 / bitsPerChar
+    this[alphabetSymbol] = alphabet
+    this[alphabetLookupSymbol] = lookups.lookup
+    this[baseMapSymbol] = lookups.baseMap
+    this[pairMapSymbol] = lookups.pairMap
+    this[decodeTableSymbol] = lookups.decodeTable
+    this[paddingSymbol] = toPadding(options.padding)
+    this[paddingCharSymbol] = paddingChar
+    this[negativeCharSymbol] = toNegativeChar(options.negativeChar, lookups.lookup, paddingChar)
+    const signed = toSigned(options.signed, SIGNED)
+    if (signed === 'twos-complement') {
+      throw new TypeError('The two\'s complement encoding requires the bits and cannot be the default')
+    }
+    this[signedSymbol] = signed
+    this[strictSymbol] = !!options.strict
+    this[ignoreCaseSymbol] = ignoreCase
+    const lineLength = toLineLength(options.lineLength)
+    const ignoreWhitespace = options.ignoreWhitespace === undefined ? lineLength > 0 : !!options.ignoreWhitespace
+    if (ignoreWhitespace) {
+      validateWhitespace(lookups.lookup, paddingChar)
+    }
+    this[ignoreWhitespaceSymbol] = ignoreWhitespace
+    this[lineLengthSymbol] = lineLength
+    this[lineSeparatorSymbol] = toLineSeparator(options.lineSeparator, lookups.lookup)
+    this[textEncoderSymbol] = new TextEncoder()
+    this[textDecodersSymbol] = new SafeMap()
+  }
+
+  get alphabet() {
+    return this[alphabetSymbol]
+  }
+
+  get padding() {
+    return this[paddingSymbol]
+  }
+
+  get paddingChar() {
+    return this[paddingCharSymbol]
+  }
+
+  get negativeChar() {
+    return this[negativeCharSymbol]
+  }
+
+  get signed() {
+    return this[signedSymbol]
+  }
+
+  get strict() {
+    return this[strictSymbol]
+  }
+
+  get ignoreWhitespace() {
+    return this[ignoreWhitespaceSymbol]
+  }
+
+  get ignoreCase() {
+    return this[ignoreCaseSymbol]
+  }
+
+  get lineLength() {
+    return this[lineLengthSymbol]
+  }
+
+  get lineSeparator() {
+    return this[lineSeparatorSymbol]
+  }
+
+  [encodeIntegerSymbol](bigInt, options) {
+    const {signed, bits, width} = options
+    if (bits) {
+      const limit = 1n << BigInt(bits - 1)
+      if (bigInt < -limit || bigInt >= limit) {
+        throw new RangeError(`The value must be a signed ${bits}-bit integer`)
+      }
+    }
+    const alphabet = this[alphabetSymbol]
+    const negativeChar = this[negativeCharSymbol]
+    const radix = this[radixSymbol]
+    const bigRadix = BigInt(radix)
+    if (signed === 'sortable' && !bits) {
+      const maxDigits = (radix >> 1) - 1
+      const isNegative = bigInt < 0n
+      if (isNegative) {
+        bigInt = -bigInt
+      }
+      let result = ''
+      while (bigInt) {
+        result = `${alphabet[isNegative ? bigRadix - 1n - bigInt % bigRadix : bigInt % bigRadix]}${result}`
+        bigInt /= bigRadix
+      }
+      const {length} = result
+      if (length > maxDigits) {
+        throw new RangeError(`The value must not exceed ${maxDigits} digits for the sortable encoding`)
+      }
+      return `${alphabet[isNegative ? maxDigits - length : maxDigits + 1 + length]}${result}`
+    }
+    let isNegative = false
+    if (signed === 'sortable') {
+      bigInt += 1n << BigInt(bits - 1)
+    } else if (signed === 'twos-complement') {
+      if (bigInt < 0n) {
+        bigInt += 1n << BigInt(bits)
+      }
+    } else if (signed === 'zigzag') {
+      bigInt = bigInt < 0n ? -bigInt * 2n - 1n : bigInt * 2n
+    } else if (bigInt < 0n) {
+      if (negativeChar === null) {
+        throw new RangeError('Negative values cannot be encoded without the negative character')
+      }
+      isNegative = true
+      bigInt = -bigInt
+    }
+    let result = ''
+    while (bigInt) {
+      result = `${alphabet[bigInt % bigRadix]}${result}`
+      bigInt /= bigRadix
+    }
+    const digitCount = isNegative ? width - 1 : width
+    if (width && result.length > digitCount) {
+      throw new RangeError(`The value does not fit in ${width} characters`)
+    }
+    result = StringPrototypePadStart(result, digitCount || 1, alphabet[0])
+    return isNegative ? `${negativeChar}${result}` : result
+  }
+
+  [decodeIntegerSymbol](string, options) {
+    const {signed, bits, width} = options
     const alphabetLookup = this[alphabetLookupSymbol]
+    const negativeChar = this[negativeCharSymbol]
+    const encoding = this[encodingSymbol]
+    const radix = this[radixSymbol]
+    const bigRadix = BigInt(radix)
     const {length} = string
-    const isNegative = string[0] === NEGATIVE_CHAR
+    if (signed === 'sortable' && !bits) {
+      if (!length) {
+        throw new RangeError('The encoded integer must contain the length prefix')
+      }
+      const maxDigits = (radix >> 1) - 1
+      const prefix = alphabetLookup[string[0]]
+      if (prefix === undefined) {
+        throw createInvalidCharacterError(string, 0, string[0], encoding)
+      }
+      if (prefix === maxDigits) {
+        throw new encoding.errors.invalidCharacter(`Invalid length prefix "${string[0]}" at index 0 for the sortable encoding`, {
+          code: `ERR_${encoding.code}_INVALID_LENGTH_PREFIX`,
+          index: 0,
+          character: string[0],
+          input: string
+        })
+      }
+      const isNegative = prefix < maxDigits
+      const digitCount = isNegative ? maxDigits - prefix : prefix - maxDigits - 1
+      if (length - 1 !== digitCount) {
+        throw new encoding.errors.length(`The length prefix "${string[0]}" requires exactly ${digitCount} digits but ${length - 1} were given`, {
+          code: `ERR_${encoding.code}_INVALID_LENGTH`,
+          index: length,
+          input: string
+        })
+      }
+      let result = 0n
+      for (let i = 1; i < length; i++) {
+        const char = string[i]
+        let index = alphabetLookup[char]
+        if (index === undefined) {
+          throw createInvalidCharacterError(string, i, char, encoding)
+        }
+        if (isNegative) {
+          index = radix - 1 - index
+        }
+        if (i === 1 && !index) {
+          throw new encoding.errors.invalidCharacter(`Unexpected leading zero digit "${char}" at index 1 for the sortable encoding`, {
+            code: `ERR_${encoding.code}_LEADING_ZERO`,
+            index: 1,
+            character: char,
+            input: string
+          })
+        }
+        result = result * bigRadix + BigInt(index)
+      }
+      return isNegative ? -result : result
+    }
+    const isNegative = signed === 'prefix' && negativeChar !== null && string[0] === negativeChar
+    const startIndex = isNegative ? 1 : 0
+    const digitCount = length - startIndex
+    if (!digitCount) {
+      throw new RangeError('The encoded integer must contain at least one digit')
+    }
+    if (width) {
+      if (length !== width) {
+        throw new RangeError(`The encoded integer must be exactly ${width} characters long`)
+      }
+    } else if (this[strictSymbol]) {
+      this[validateCanonicalIntegerSymbol](string, startIndex, isNegative)
+    }
     let result = 0n
-    for (let i = isNegative && length > 1 ? 1 : 0; i < length; i++) {
+    for (let i = startIndex; i < length; i++) {
       const char = string[i]
       const index = alphabetLookup[char]
       if (index === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${i} for Base64 encoding`)
+        throw createInvalidCharacterError(string, i, char, encoding)
       }
-      result = result * 64n + BigInt(index)
+      result = result * bigRadix + BigInt(index)
+    }
+    if (signed === 'sortable') {
+      result -= 1n << BigInt(bits - 1)
+    } else if (signed === 'twos-complement') {
+      const modulus = 1n << BigInt(bits)
+      if (result >= modulus) {
+        throw new RangeError(`The encoded value must be a ${bits}-bit two's complement integer`)
+      }
+      if (result >= modulus >> 1n) {
+        result -= modulus
+      }
+    } else if (signed === 'zigzag') {
+      result = result & 1n ? -(result >> 1n) - 1n : result >> 1n
+    } else if (isNegative) {
+      result = -result
+    }
+    if (bits) {
+      const limit = 1n << BigInt(bits - 1)
+      if (result < -limit || result >= limit) {
+        throw new RangeError(`The encoded value must be a signed ${bits}-bit integer`)
+      }
+    }
+    return result
+  }
+
+  [validateCanonicalIntegerSymbol](string, startIndex, isNegative) {
+    const alphabetLookup = this[alphabetLookupSymbol]
+    const encoding = this[encodingSymbol]
+    const {length} = string
+    if (alphabetLookup[string[startIndex]] !== 0) {
+      return
+    }
+    if (length - startIndex > 1) {
+      throw new encoding.errors.invalidCharacter(`Unexpected leading zero character "${string[startIndex]}" at index ${startIndex}`, {
+        code: `ERR_${encoding.code}_LEADING_ZERO`,
+        index: startIndex,
+        character: string[startIndex],
+        input: string
+      })
     }
-    return isNegative ? -result : result
+    if (isNegative) {
+      throw new encoding.errors.invalidCharacter('Unexpected negative zero', {
+        code: `ERR_${encoding.code}_NEGATIVE_ZERO`,
+        index: 0,
+        character: string[0],
+        input: string
+      })
+    }
+  }
+
+  encodeInt(value, options) {
+    let number = TypesToIntegerOrInfinity(value)
+    if (number < NumberMIN_SAFE_INTEGER) {
+      throw new RangeError('The value must be greater than or equal to the minimum safe integer')
+    } else if (number > NumberMAX_SAFE_INTEGER) {
+      throw new RangeError('The value must be less than or equal to the maximum safe integer')
+    }
+    if (options !== undefined || this[signedSymbol] !== SIGNED) {
+      return this[encodeIntegerSymbol](BigInt(number), toIntegerOptions(options, this[signedSymbol], this[bitsPerCharSymbol]))
+    }
+    const alphabet = this[alphabetSymbol]
+    const radix = this[radixSymbol]
+    if (!number) {
+      return alphabet[0]
+    }
+    const isNegative = number < 0
+    const negativeChar = this[negativeCharSymbol]
+    if (isNegative) {
+      if (negativeChar === null) {
+        throw new RangeError('Negative values cannot be encoded without the negative character')
+      }
+      number = -number
+    }
+    let result = ''
+    while (number) {
+      result = `${alphabet[number % radix]}${result}`
+      number = MathFloor(number / radix)
+    }
+    return isNegative ? `${negativeChar}${result}` : result
+  }
+
+  decodeInt(string, options) {
+    string = String(string)
+    if (options !== undefined || this[signedSymbol] !== SIGNED) {
+      options = toIntegerOptions(options, this[signedSymbol], this[bitsPerCharSymbol])
+      const result = this[decodeIntegerSymbol](string, options)
+      if (options.type === 'bigint') {
+        return result
+      }
+      if (result < BigInt(NumberMIN_SAFE_INTEGER) || result > BigInt(NumberMAX_SAFE_INTEGER)) {
+        if (options.type === 'auto') {
+          return result
+        }
+        throw new RangeError(result < 0n
+          ? 'The decoded value must be greater than or equal to the minimum safe integer'
+          : 'The decoded value must be less than or equal to the maximum safe integer')
+      }
+      return Number(result)
+    }
+    const alphabetLookup = this[alphabetLookupSymbol]
+    const negativeChar = this[negativeCharSymbol]
+    const radix = this[radixSymbol]
+    const {length} = string
+    const isNegative = negativeChar !== null && string[0] === negativeChar
+    const startIndex = isNegative ? 1 : 0
+    if (length === startIndex) {
+      throw new RangeError('The encoded integer must contain at least one digit')
+    }
+    if (this[strictSymbol]) {
+      this[validateCanonicalIntegerSymbol](string, startIndex, isNegative)
+    }
+    let result = 0
+    for (let i = startIndex; i < length; i++) {
+      const char = string[i]
+      const index = alphabetLookup[char]
+      if (index === undefined) {
+        throw createInvalidCharacterError(string, i, char, this[encodingSymbol])
+      }
+      result = result * radix + index
+      if (result > NumberMAX_SAFE_INTEGER) {
+        throw new RangeError(isNegative
+          ? 'The decoded value must be greater than or equal to the minimum safe integer'
+          : 'The decoded value must be less than or equal to the maximum safe integer')
+      }
+    }
+    return isNegative && result > 0 ? -result : result
+  }
+
+  encodeBigInt(value, options) {
+    let bigInt = TypesToBigInt(value)
+    if (options !== undefined || this[signedSymbol] !== SIGNED) {
+      return this[encodeIntegerSymbol](bigInt, toIntegerOptions(options, this[signedSymbol], this[bitsPerCharSymbol]))
+    }
+    const alphabet = this[alphabetSymbol]
+    const bigRadix = BigInt(this[radixSymbol])
+    if (!bigInt) {
+      return alphabet[0]
+    }
+    const isNegative = bigInt < 0n
+    const negativeChar = this[negativeCharSymbol]
+    if (isNegative) {
+      if (negativeChar === null) {
+        throw new RangeError('Negative values cannot be encoded without the negative character')
+      }
+      bigInt = -bigInt
+    }
+    let result = ''
+    while (bigInt) {
+      result = `${alphabet[bigInt % bigRadix]}${result}`
+      bigInt /= bigRadix
+    }
+    return isNegative ? `${negativeChar}${result}` : result
+  }
+
+  decodeBigInt(string, options) {
+    string = String(string)
+    return this[decodeIntegerSymbol](string, toIntegerOptions(options, this[signedSymbol], this[bitsPerCharSymbol]))
   }
 
   [encodeToStringSymbol](input, start, end) {
     const alphabet = this[alphabetSymbol]
+    const bitsPerChar = this[bitsPerCharSymbol]
+    const mask = this[radixSymbol] - 1
     const length = TypesToLength(input.length)
     let startIndex = 0
     let endIndex = length
@@ -235,311 +1500,2395 @@ class Base64 {
       end = TypesToIntegerOrInfinity(end)
       endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
     }
-    const newLength = MathMax(0, endIndex - startIndex)
-    const extraBytes = newLength % 3
-    const extraLength = endIndex - extraBytes
     let result = ''
-    let index = startIndex
-    while (index < extraLength) {
-      const number = (input[index++] << 16) + (input[index++] << 8) + input[index++]
-      result += alphabet[number >> 18 & 0x3f]
-      result += alphabet[number >> 12 & 0x3f]
-      result += alphabet[number >> 6 & 0x3f]
-      result += alphabet[number & 0x3f]
-    }
-    if (extraBytes) {
-      if (extraBytes === 1) {
-        const number = input[index]
-        result += alphabet[number >> 2]
-        result += alphabet[number << 4 & 0x3f]
-      } else if (extraBytes === 2) {
-        const number = (input[index++] << 8) + input[index]
-        result += alphabet[number >> 10]
-        result += alphabet[number >> 4 & 0x3f]
-        result += alphabet[number << 2 & 0x3f]
+    let bitBuffer = 0
+    let bitCount = 0
+    for (let index = startIndex; index < endIndex; index++) {
+      bitBuffer = (bitBuffer << 8 | input[index]) & 0xffff
+      bitCount += 8
+      while (bitCount >= bitsPerChar) {
+        bitCount -= bitsPerChar
+        result += alphabet[bitBuffer >> bitCount & mask]
       }
-      result += StringPrototypeRepeat(PADDING_CHAR, 3 - extraBytes)
     }
-    return result
+    if (bitCount) {
+      result += alphabet[bitBuffer << (bitsPerChar - bitCount) & mask]
+      if (this[paddingSymbol] !== 'never') {
+        const charsPerGroup = this[charsPerGroupSymbol]
+        result += StringPrototypeRepeat(this[paddingCharSymbol], charsPerGroup - result.length % charsPerGroup)
+      }
+    }
+    return result
+  }
+
+  [decodeCoreSymbol](input, isString, start, end, output, offset, options) {
+    const decodeTable = this[decodeTableSymbol]
+    const encoding = this[encodingSymbol]
+    const {name} = encoding
+    const bitsPerChar = this[bitsPerCharSymbol]
+    const radix = this[radixSymbol]
+    const charsPerGroup = this[charsPerGroupSymbol]
+    const sourceInput = input
+    const length = isString ? input.length : TypesToLength(input.length)
+    let startIndex = 0
+    let endIndex = length
+    if (start !== undefined) {
+      start = TypesToIntegerOrInfinity(start)
+      startIndex = start < 0 ? MathMax(0, length + start) : MathMin(start, length)
+    }
+    if (end !== undefined) {
+      end = TypesToIntegerOrInfinity(end)
+      endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
+    }
+    let whitespaceMap
+    if (this[ignoreWhitespaceSymbol]) {
+      const stripped = isString ? stripWhitespaceFromString(input, startIndex, endIndex) : stripWhitespaceFromUint8Array(input, startIndex, endIndex)
+      if (stripped !== undefined) {
+        input = stripped.result
+        whitespaceMap = stripped.whitespaceMap
+        startIndex = 0
+        endIndex = isString ? input.length : TypedArrayPrototypeGetLength(input)
+      }
+    }
+    const newLength = MathMax(0, endIndex - startIndex)
+    const padding = this[paddingSymbol]
+    const paddingChar = this[paddingCharSymbol]
+    const paddingCharCode = StringPrototypeCharCodeAt(paddingChar)
+    const {strict, onInvalid, onInvalidCharacter, indexOffset} = options
+    const isStrict = strict === undefined ? this[strictSymbol] : strict
+    const toErrorIndex = index => toSourceIndex(whitespaceMap, index) + indexOffset
+    const isLenient = onInvalid !== 'throw'
+    const lastIndex = endIndex - 1
+    const createLengthError = () => new encoding.errors.length(`The length of the padded ${name} ${isString ? 'string' : 'input'} must be a multiple of ${charsPerGroup}`, {
+      code: `ERR_${encoding.code}_INVALID_LENGTH`,
+      index: toErrorIndex(endIndex),
+      input: sourceInput
+    })
+    let paddingCount = 0
+    if (padding === 'never') {
+      if (newLength && getCharCode(input, isString, lastIndex) === paddingCharCode) {
+        let index = lastIndex
+        while (index > startIndex && getCharCode(input, isString, index - 1) === paddingCharCode) {
+          index--
+        }
+        throw createDecodeError(encoding, 'padding', 'Unexpected padding', 'UNEXPECTED_PADDING', toErrorIndex(index), paddingCharCode, isString, sourceInput)
+      }
+    } else if (isStrict || isLenient) {
+      while (paddingCount < newLength && getCharCode(input, isString, lastIndex - paddingCount) === paddingCharCode) {
+        paddingCount++
+      }
+    } else if (newLength % charsPerGroup === 0) {
+      const maxPaddingCount = charsPerGroup - MathCeil(8 / bitsPerChar)
+      while (paddingCount < newLength && paddingCount < maxPaddingCount && getCharCode(input, isString, lastIndex - paddingCount) === paddingCharCode) {
+        paddingCount++
+      }
+    } else if (padding === 'always') {
+      throw createLengthError()
+    }
+    const validLength = newLength - paddingCount
+    const validEndIndex = startIndex + validLength
+    if (isStrict && !isLenient) {
+      const paddingIndex = isString
+        ? StringPrototypeIndexOf(input, paddingChar, startIndex)
+        : TypedArrayPrototypeIndexOf(input, paddingCharCode, startIndex)
+      if (paddingIndex !== -1 && paddingIndex < validEndIndex) {
+        throw createDecodeError(encoding, 'padding', 'Unexpected padding', 'UNEXPECTED_PADDING', toErrorIndex(paddingIndex), paddingCharCode, isString, sourceInput)
+      }
+    }
+    const resultLength = MathFloor(validLength * bitsPerChar / 8)
+    let result = output
+    let resultIndex = offset
+    if (output === undefined) {
+      result = new Uint8Array(resultLength)
+      resultIndex = 0
+    } else if (TypedArrayPrototypeGetLength(output) - offset < resultLength) {
+      throw new RangeError(`The output is too small, ${resultLength} bytes are required but only ${TypedArrayPrototypeGetLength(output) - offset} are available`)
+    }
+    const resultStartIndex = resultIndex
+    let bitBuffer = 0
+    let bitCount = 0
+    let digitCount = 0
+    let lastDigitIndex = -1
+    let index = startIndex
+    const charsPerWord = this[charsPerWordSymbol]
+    if (charsPerWord) {
+      const wordEndIndex = validEndIndex - validLength % charsPerWord
+      while (index < wordEndIndex) {
+        const nextIndex = index + charsPerWord
+        let word = 0
+        let invalid = 0
+        if (isString) {
+          for (let wordIndex = index; wordIndex < nextIndex; wordIndex++) {
+            const charCode = StringPrototypeCharCodeAt(input, wordIndex)
+            const value = charCode > 0xff ? 0xff : decodeTable[charCode]
+            invalid |= value
+            word = word << bitsPerChar | value
+          }
+        } else {
+          for (let wordIndex = index; wordIndex < nextIndex; wordIndex++) {
+            const value = decodeTable[input[wordIndex]]
+            invalid |= value
+            word = word << bitsPerChar | value
+          }
+        }
+        if (invalid >= radix) {
+          break
+        }
+        result[resultIndex++] = word >> 16
+        result[resultIndex++] = word >> 8
+        result[resultIndex++] = word
+        index = nextIndex
+      }
+      if (index !== startIndex) {
+        digitCount = index - startIndex
+        lastDigitIndex = index - 1
+      }
+    }
+    for (; index < validEndIndex; index++) {
+      const charCode = getCharCode(input, isString, index)
+      let value = decodeTable[charCode]
+      if (!(value < radix)) {
+        const error = createDecodeError(encoding, 'invalidCharacter', 'Invalid', 'INVALID_CHARACTER', toErrorIndex(index), charCode, isString, sourceInput)
+        if (!isLenient) {
+          throw error
+        }
+        if (onInvalidCharacter !== undefined) {
+          onInvalidCharacter(error)
+        }
+        if (onInvalid === 'skip') {
+          continue
+        }
+        value = 0
+      }
+      bitBuffer = (bitBuffer << bitsPerChar | value) & 0xffff
+      bitCount += bitsPerChar
+      digitCount++
+      lastDigitIndex = index
+      if (bitCount >= 8) {
+        bitCount -= 8
+        result[resultIndex++] = bitBuffer >> bitCount
+      }
+    }
+    const extraDigits = digitCount % charsPerGroup
+    if (isLenient && !isStrict && padding === 'always' && (digitCount + paddingCount) % charsPerGroup !== 0) {
+      throw createLengthError()
+    }
+    if (isStrict) {
+      if (!isCompleteRemainder(extraDigits, bitsPerChar)) {
+        if (paddingCount) {
+          throw createDecodeError(encoding, 'padding', 'Unexpected padding', 'UNEXPECTED_PADDING', toErrorIndex(validEndIndex), paddingCharCode, isString, sourceInput)
+        }
+        const index = toErrorIndex(lastDigitIndex)
+        const charCode = getCharCode(input, isString, lastDigitIndex)
+        throw new encoding.errors.length(`Incomplete ${name} group at index ${index}, the ${describeCharCode(charCode, isString)} cannot be decoded alone`, {
+          code: `ERR_${encoding.code}_INCOMPLETE_GROUP`,
+          index,
+          character: isString ? StringFromCharCode(charCode) : undefined,
+          byte: isString ? undefined : charCode,
+          input: sourceInput
+        })
+      }
+      if (extraDigits && bitBuffer & ((1 << bitCount) - 1)) {
+        throw createDecodeError(encoding, 'invalidCharacter', 'Non-zero trailing bits in', 'TRAILING_BITS', toErrorIndex(lastDigitIndex), getCharCode(input, isString, lastDigitIndex), isString, sourceInput)
+      }
+      if (padding !== 'never') {
+        const requiredPaddingCount = extraDigits && charsPerGroup - extraDigits
+        if (paddingCount > requiredPaddingCount) {
+          throw createDecodeError(encoding, 'padding', 'Unexpected padding', 'UNEXPECTED_PADDING', toErrorIndex(validEndIndex + requiredPaddingCount), paddingCharCode, isString, sourceInput)
+        }
+        if (paddingCount < requiredPaddingCount) {
+          throw createDecodeError(encoding, 'padding', 'Missing padding', 'MISSING_PADDING', toErrorIndex(endIndex), paddingCharCode, isString, sourceInput)
+        }
+      }
+    }
+    const writtenLength = resultIndex - resultStartIndex
+    if (output !== undefined) {
+      return TypedArrayPrototypeSubarray(result, offset, offset + writtenLength)
+    }
+    return writtenLength === resultLength ? result : TypedArrayPrototypeSubarray(result, 0, writtenLength)
+  }
+
+  [decodeFromStringSymbol](string, start, end, output, offset, options = defaultDecodeOptions) {
+    return this[decodeCoreSymbol](string, true, start, end, output, offset, options)
+  }
+
+  [textToUint8ArraySymbol](string, options) {
+    const {encoding, fatal} = options
+    const {length} = string
+    if (encoding === 'utf-8') {
+      if (fatal) {
+        const index = findLoneSurrogate(string)
+        if (index !== -1) {
+          throw new TypeError(`The lone surrogate at index ${index} cannot be encoded in utf-8`)
+        }
+      }
+      return FunctionPrototypeCall(TextEncoder.prototype.encode, this[textEncoderSymbol], string)
+    }
+    if (encoding === 'utf-16le') {
+      const result = new Uint8Array(length << 1)
+      for (let i = 0; i < length; i++) {
+        const charCode = StringPrototypeCharCodeAt(string, i)
+        result[i << 1] = charCode & 0xff
+        result[(i << 1) + 1] = charCode >> 8
+      }
+      return result
+    }
+    if (encoding === 'latin1') {
+      const result = new Uint8Array(length)
+      for (let i = 0; i < length; i++) {
+        const charCode = StringPrototypeCharCodeAt(string, i)
+        if (charCode > 0xff) {
+          if (fatal) {
+            throw new TypeError(`The character "${string[i]}" at index ${i} cannot be encoded in latin1`)
+          }
+          result[i] = 0x3f
+        } else {
+          result[i] = charCode
+        }
+      }
+      return result
+    }
+    throw new RangeError(`The "${encoding}" encoding is not supported for encoding text`)
+  }
+
+  [uint8ArrayToTextSymbol](input, options) {
+    const {encoding, fatal, ignoreBOM} = options
+    if (encoding === 'latin1') {
+      let result = ''
+      const length = TypedArrayPrototypeGetLength(input)
+      for (let i = 0; i < length; i++) {
+        result += StringFromCharCode(input[i])
+      }
+      return result
+    }
+    const textDecoders = this[textDecodersSymbol]
+    const key = `${encoding}:${fatal}:${ignoreBOM}`
+    let textDecoder = textDecoders.get(key)
+    if (textDecoder === undefined) {
+      textDecoder = new TextDecoder(encoding, {
+        fatal,
+        ignoreBOM
+      })
+      textDecoders.set(key, textDecoder)
+    }
+    return FunctionPrototypeCall(TextDecoder.prototype.decode, textDecoder, input)
+  }
+
+  encodeText(string, start, end, options) {
+    if (TypesIsObject(start)) {
+      options = start
+      start = undefined
+    }
+    const bytes = this[textToUint8ArraySymbol](String(string), toTextOptions(options))
+    return wrapString(this[encodeToStringSymbol](bytes, start, end), this[lineLengthSymbol], this[lineSeparatorSymbol])
+  }
+
+  decodeText(string, start, end, options) {
+    if (TypesIsObject(start)) {
+      options = start
+      start = undefined
+    }
+    const bytes = this[decodeFromStringSymbol](String(string), start, end, undefined, undefined, toDecodeOptions(options))
+    return this[uint8ArrayToTextSymbol](bytes, toTextOptions(options))
+  }
+
+  [encodeSymbol](input, start, end, isPadded, output, offset) {
+    const baseMap = this[baseMapSymbol]
+    const bitsPerChar = this[bitsPerCharSymbol]
+    const charsPerGroup = this[charsPerGroupSymbol]
+    const mask = this[radixSymbol] - 1
+    const length = TypesToLength(input.length)
+    let startIndex = 0
+    let endIndex = length
+    if (start !== undefined) {
+      start = TypesToIntegerOrInfinity(start)
+      startIndex = start < 0 ? MathMax(0, length + start) : MathMin(start, length)
+    }
+    if (end !== undefined) {
+      end = TypesToIntegerOrInfinity(end)
+      endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
+    }
+    const newLength = MathMax(0, endIndex - startIndex)
+    const resultLength = isPadded
+      ? MathCeil(newLength * 8 / (charsPerGroup * bitsPerChar)) * charsPerGroup
+      : MathCeil(newLength * 8 / bitsPerChar)
+    const result = output === undefined ? new Uint8Array(resultLength) : output
+    const resultStartIndex = output === undefined ? 0 : offset
+    let resultIndex = resultStartIndex
+    let index = startIndex
+    if (this[charsPerWordSymbol]) {
+      const pairMap = this[pairMapSymbol]
+      const pairBits = bitsPerChar << 1
+      const pairMask = (1 << pairBits) - 1
+      const wordEndIndex = endIndex - newLength % 3
+      while (index < wordEndIndex) {
+        const word = input[index++] << 16 | input[index++] << 8 | input[index++]
+        for (let shift = 24 - pairBits; shift >= 0; shift -= pairBits) {
+          const pair = pairMap[word >> shift & pairMask]
+          result[resultIndex++] = pair >> 8
+          result[resultIndex++] = pair & 0xff
+        }
+      }
+    }
+    let bitBuffer = 0
+    let bitCount = 0
+    for (; index < endIndex; index++) {
+      bitBuffer = (bitBuffer << 8 | input[index]) & 0xffff
+      bitCount += 8
+      while (bitCount >= bitsPerChar) {
+        bitCount -= bitsPerChar
+        result[resultIndex++] = baseMap[bitBuffer >> bitCount & mask]
+      }
+    }
+    if (bitCount) {
+      result[resultIndex++] = baseMap[bitBuffer << (bitsPerChar - bitCount) & mask]
+      if (isPadded) {
+        TypedArrayPrototypeFill(result, StringPrototypeCharCodeAt(this[paddingCharSymbol]), resultIndex, resultStartIndex + resultLength)
+      }
+    }
+    return result
+  }
+
+  [decodeSymbol](input, start, end, output, offset, options = defaultDecodeOptions) {
+    return this[decodeCoreSymbol](input, false, start, end, output, offset, options)
+  }
+
+  encode(input, start, end) {
+    input = toBufferSource(input)
+    return wrapUint8Array(this[encodeSymbol](input, start, end, this[paddingSymbol] !== 'never'), this[lineLengthSymbol], this[lineSeparatorSymbol])
+  }
+
+  decode(input, start, end, options) {
+    input = toBufferSource(input)
+    if (TypesIsObject(start)) {
+      options = start
+      start = undefined
+    }
+    return this[decodeSymbol](input, start, end, undefined, undefined, toDecodeOptions(options))
+  }
+
+  encodeToString(input, start, end) {
+    input = toBufferSource(input)
+    return wrapString(this[encodeToStringSymbol](input, start, end), this[lineLengthSymbol], this[lineSeparatorSymbol])
+  }
+
+  decodeFromString(input, start, end, options) {
+    if (!PrimitivesIsString(input)) {
+      throw new TypeError('The input must be a string')
+    }
+    if (TypesIsObject(start)) {
+      options = start
+      start = undefined
+    }
+    return this[decodeFromStringSymbol](input, start, end, undefined, undefined, toDecodeOptions(options))
+  }
+}
+
+class Base64 extends RadixCodec {
+  constructor(alphabet, options) {
+    super(alphabet, options, base64Encoding)
+  }
+
+  [encodeFloatSymbol](bigInt, bits, sortable) {
+    const alphabet = this[alphabetSymbol]
+    if (sortable) {
+      const signBit = 1n << BigInt(bits - 1)
+      bigInt = bigInt & signBit ? ((1n << BigInt(bits)) - 1n) ^ bigInt : bigInt | signBit
+    }
+    let result = ''
+    while (bigInt) {
+      result = `${alphabet[bigInt % 64n]}${result}`
+      bigInt /= 64n
+    }
+    return StringPrototypePadStart(result, MathCeil(bits / BITS_PER_CHAR), alphabet[0])
+  }
+
+  [decodeFloatSymbol](string, bits, sortable) {
+    const alphabetLookup = this[alphabetLookupSymbol]
+    const width = MathCeil(bits / BITS_PER_CHAR)
+    const {length} = string
+    if (length !== width) {
+      throw new RangeError(`The encoded ${bits}-bit float must be exactly ${width} characters long`)
+    }
+    let result = 0n
+    for (let i = 0; i < length; i++) {
+      const char = string[i]
+      const index = alphabetLookup[char]
+      if (index === undefined) {
+        throw createInvalidCharacterError(string, i, char)
+      }
+      result = result * 64n + BigInt(index)
+    }
+    if (result >> BigInt(bits)) {
+      throw new RangeError(`The encoded value must be a ${bits}-bit IEEE 754 bit pattern`)
+    }
+    if (sortable) {
+      const signBit = 1n << BigInt(bits - 1)
+      result = result & signBit ? result ^ signBit : ((1n << BigInt(bits)) - 1n) ^ result
+    }
+    return result
+  }
+
+  encodeFloat64(value, options) {
+    const number = TypesToNumber(value)
+    options = toFloatOptions(options, this[signedSymbol] === 'sortable')
+    DataViewPrototypeSetFloat64(floatView, 0, number)
+    return this[encodeFloatSymbol](DataViewPrototypeGetBigUint64(floatView, 0), 64, options.sortable)
+  }
+
+  decodeFloat64(string, options) {
+    string = String(string)
+    options = toFloatOptions(options, this[signedSymbol] === 'sortable')
+    DataViewPrototypeSetBigUint64(floatView, 0, this[decodeFloatSymbol](string, 64, options.sortable))
+    return DataViewPrototypeGetFloat64(floatView, 0)
+  }
+
+  [encodeVLQSymbol](value) {
+    const alphabet = this[alphabetSymbol]
+    const number = TypesToNumber(value)
+    if (!NumberIsSafeInteger(number) || number < VLQ_MIN_VALUE || number > VLQ_MAX_VALUE) {
+      throw new RangeError('The value must be a signed 32-bit integer')
+    }
+    let vlq = number < 0 ? -number * 2 + 1 : number * 2
+    let result = ''
+    do {
+      let digit = vlq % VLQ_BASE
+      vlq = MathFloor(vlq / VLQ_BASE)
+      if (vlq) {
+        digit += VLQ_BASE
+      }
+      result += alphabet[digit]
+    } while (vlq)
+    return result
+  }
+
+  [decodeVLQSymbol](string, start, end) {
+    const alphabetLookup = this[alphabetLookupSymbol]
+    const result = []
+    let i = start
+    while (i < end) {
+      const sequenceIndex = i
+      let vlq = 0
+      let digitCount = 0
+      let digit
+      do {
+        if (i === end) {
+          throw new Base64LengthError(`Truncated VLQ sequence at index ${sequenceIndex}`, {
+            code: 'ERR_BASE64_TRUNCATED_VLQ',
+            index: sequenceIndex,
+            input: string
+          })
+        }
+        if (digitCount === VLQ_MAX_DIGITS) {
+          throw createOverlongVLQError(string, sequenceIndex)
+        }
+        const char = string[i]
+        digit = alphabetLookup[char]
+        if (digit === undefined) {
+          throw createInvalidCharacterError(string, i, char)
+        }
+        vlq += (digit % VLQ_BASE) * 2 ** (digitCount * VLQ_SHIFT)
+        digitCount++
+        i++
+      } while (digit >= VLQ_BASE)
+      const value = vlq % 2 ? -MathFloor(vlq / 2) : vlq / 2
+      if (value < VLQ_MIN_VALUE || value > VLQ_MAX_VALUE) {
+        throw createOverlongVLQError(string, sequenceIndex)
+      }
+      ArrayPrototypePush(result, value + 0)
+    }
+    return result
+  }
+
+  encodeVLQ(value) {
+    if (!ArrayIsArray(value)) {
+      return this[encodeVLQSymbol](value)
+    }
+    let result = ''
+    for (let i = 0; i < value.length; i++) {
+      result += this[encodeVLQSymbol](value[i])
+    }
+    return result
+  }
+
+  decodeVLQ(string) {
+    string = String(string)
+    return this[decodeVLQSymbol](string, 0, string.length)
+  }
+
+  encodeVLQMappings(lines) {
+    if (!ArrayIsArray(lines)) {
+      throw new TypeError('The lines must be an array')
+    }
+    return ArrayPrototypeJoin(ArrayPrototypeMap(lines, line => {
+      if (!ArrayIsArray(line)) {
+        throw new TypeError('The line must be an array of segments')
+      }
+      return ArrayPrototypeJoin(ArrayPrototypeMap(line, segment => {
+        if (!ArrayIsArray(segment) || !segment.length) {
+          throw new TypeError('The segment must be a non-empty array of integers')
+        }
+        return this.encodeVLQ(segment)
+      }), ',')
+    }), ';')
+  }
+
+  decodeVLQMappings(string) {
+    string = String(string)
+    const {length} = string
+    const result = []
+    let line = []
+    let segmentIndex = 0
+    for (let i = 0; i <= length; i++) {
+      const char = string[i]
+      if (i !== length && char !== ',' && char !== ';') {
+        continue
+      }
+      if (i > segmentIndex) {
+        ArrayPrototypePush(line, this[decodeVLQSymbol](string, segmentIndex, i))
+      } else if (char === ',' || (line.length && i === length)) {
+        throw new Base64LengthError(`Empty VLQ segment at index ${i}`, {
+          code: 'ERR_BASE64_EMPTY_VLQ_SEGMENT',
+          index: i,
+          input: string
+        })
+      }
+      if (char !== ',') {
+        ArrayPrototypePush(result, line)
+        line = []
+      }
+      segmentIndex = i + 1
+    }
+    return result
+  }
+
+  encodeFloat32(value, options) {
+    const number = TypesToNumber(value)
+    options = toFloatOptions(options, this[signedSymbol] === 'sortable')
+    DataViewPrototypeSetFloat32(floatView, 0, number)
+    return this[encodeFloatSymbol](BigInt(DataViewPrototypeGetUint32(floatView, 0)), 32, options.sortable)
+  }
+
+  decodeFloat32(string, options) {
+    string = String(string)
+    options = toFloatOptions(options, this[signedSymbol] === 'sortable')
+    DataViewPrototypeSetUint32(floatView, 0, Number(this[decodeFloatSymbol](string, 32, options.sortable)))
+    return DataViewPrototypeGetFloat32(floatView, 0)
+  }
+
+  encodeBinaryString(string) {
+    string = String(string)
+    const {length} = string
+    const bytes = new Uint8Array(length)
+    for (let i = 0; i < length; i++) {
+      const charCode = StringPrototypeCharCodeAt(string, i)
+      if (charCode > 0xff) {
+        throw createDOMInvalidCharacterError(`Invalid character "${string[i]}" at index ${i}, binary strings can only contain characters in the range U+0000 to U+00FF`)
+      }
+      bytes[i] = charCode
+    }
+    return wrapString(this[encodeToStringSymbol](bytes, 0, length), this[lineLengthSymbol], this[lineSeparatorSymbol])
+  }
+
+  [decodeForgivingSymbol](string, createError) {
+    const decodeTable = this[decodeTableSymbol]
+    const paddingCharCode = StringPrototypeCharCodeAt(this[paddingCharSymbol])
+    const stripped = stripWhitespaceFromString(string, 0, string.length)
+    const input = stripped === undefined ? string : stripped.result
+    const whitespaceMap = stripped === undefined ? undefined : stripped.whitespaceMap
+    let {length} = input
+    if (length % 4 === 0) {
+      if (length && StringPrototypeCharCodeAt(input, length - 1) === paddingCharCode) {
+        length--
+        if (length && StringPrototypeCharCodeAt(input, length - 1) === paddingCharCode) {
+          length--
+        }
+      }
+    }
+    if (length % 4 === 1) {
+      throw createError('The string to be decoded is not correctly encoded')
+    }
+    const result = new Uint8Array(length * 3 >> 2)
+    let resultIndex = 0
+    let bitBuffer = 0
+    let bitCount = 0
+    for (let index = 0; index < length; index++) {
+      const value = decodeTable[StringPrototypeCharCodeAt(input, index)]
+      if (!(value < BASE)) {
+        throw createError(`Invalid character "${input[index]}" at index ${toSourceIndex(whitespaceMap, index)}, the string to be decoded is not correctly encoded`)
+      }
+      bitBuffer = (bitBuffer << 6 | value) & 0xffff
+      bitCount += 6
+      if (bitCount >= 8) {
+        bitCount -= 8
+        result[resultIndex++] = bitBuffer >> bitCount
+      }
+    }
+    return result
+  }
+
+  decodeToBinaryString(string) {
+    const bytes = this[decodeForgivingSymbol](String(string), createDOMInvalidCharacterError)
+    const length = TypedArrayPrototypeGetLength(bytes)
+    let result = ''
+    for (let i = 0; i < length; i++) {
+      result += StringFromCharCode(bytes[i])
+    }
+    return result
+  }
+
+  encodedLength(byteLength) {
+    const lineLength = this[lineLengthSymbol]
+    return getEncodedLength(TypesToLength(byteLength), this[paddingSymbol] !== 'never', lineLength, this[lineSeparatorSymbol].length)
+  }
+
+  decodedLength(input) {
+    input = toStringOrBufferSource(input)
+    return getDecodedLength(input, StringPrototypeCharCodeAt(this[paddingCharSymbol]), this[ignoreWhitespaceSymbol])
+  }
+
+  validate(input, options) {
+    input = toStringOrBufferSource(input)
+    const isString = PrimitivesIsString(input)
+    options = toOptions(options)
+    const decodeTable = this[decodeTableSymbol]
+    const paddingChar = this[paddingCharSymbol]
+    const padding = options.padding === undefined ? this[paddingSymbol] : toPadding(options.padding)
+    const isStrict = options.strict === undefined ? this[strictSymbol] : !!options.strict
+    const ignoreWhitespace = options.ignoreWhitespace === undefined ? this[ignoreWhitespaceSymbol] : !!options.ignoreWhitespace
+    if (ignoreWhitespace && !this[ignoreWhitespaceSymbol]) {
+      validateWhitespace(this[alphabetLookupSymbol], paddingChar)
+    }
+    const variant = getVariant(input, isString)
+    let endIndex = isString ? input.length : TypedArrayPrototypeGetLength(input)
+    let whitespaceMap
+    if (ignoreWhitespace) {
+      const stripped = isString ? stripWhitespaceFromString(input, 0, endIndex) : stripWhitespaceFromUint8Array(input, 0, endIndex)
+      if (stripped !== undefined) {
+        input = stripped.result
+        whitespaceMap = stripped.whitespaceMap
+        endIndex = isString ? input.length : TypedArrayPrototypeGetLength(input)
+      }
+    }
+    const getCharCode = isString ? index => StringPrototypeCharCodeAt(input, index) : index => input[index]
+    const paddingCharCode = StringPrototypeCharCodeAt(paddingChar)
+    const lastIndex = endIndex - 1
+    let paddingCount = 0
+    if (padding === 'never') {
+      if (endIndex && getCharCode(lastIndex) === paddingCharCode) {
+        let index = lastIndex
+        while (index > 0 && getCharCode(index - 1) === paddingCharCode) {
+          index--
+        }
+        return createValidationResult(toSourceIndex(whitespaceMap, index), 'unexpected-padding', endIndex - index, 0, variant)
+      }
+    } else if (isStrict) {
+      while (paddingCount < endIndex && getCharCode(lastIndex - paddingCount) === paddingCharCode) {
+        paddingCount++
+      }
+    } else if (endIndex % 4 === 0) {
+      while (paddingCount < endIndex && paddingCount < 2 && getCharCode(lastIndex - paddingCount) === paddingCharCode) {
+        paddingCount++
+      }
+    } else if (padding === 'always') {
+      return createValidationResult(toSourceIndex(whitespaceMap, endIndex), 'invalid-length', 0, 0, variant)
+    }
+    const validLength = endIndex - paddingCount
+    const extraBytes = validLength % 4
+    if (isStrict) {
+      for (let i = 0; i < validLength; i++) {
+        if (getCharCode(i) === paddingCharCode) {
+          return createValidationResult(toSourceIndex(whitespaceMap, i), 'unexpected-padding', paddingCount, 0, variant)
+        }
+      }
+    }
+    for (let i = 0; i < validLength; i++) {
+      if (!(decodeTable[getCharCode(i)] < BASE)) {
+        return createValidationResult(toSourceIndex(whitespaceMap, i), 'invalid-character', paddingCount, 0, variant)
+      }
+    }
+    if (isStrict) {
+      const lastCharIndex = decodeTable[getCharCode(validLength - 1)]
+      if (extraBytes === 1 && paddingCount) {
+        return createValidationResult(toSourceIndex(whitespaceMap, validLength), 'unexpected-padding', paddingCount, 0, variant)
+      }
+      if (extraBytes === 1) {
+        return createValidationResult(toSourceIndex(whitespaceMap, validLength - 1), 'incomplete-group', paddingCount, 0, variant)
+      }
+      if ((extraBytes === 2 && lastCharIndex & 0x0f) || (extraBytes === 3 && lastCharIndex & 0x03)) {
+        return createValidationResult(toSourceIndex(whitespaceMap, validLength - 1), 'trailing-bits', paddingCount, 0, variant)
+      }
+      if (padding !== 'never') {
+        const requiredPaddingCount = extraBytes && 4 - extraBytes
+        if (paddingCount > requiredPaddingCount) {
+          return createValidationResult(toSourceIndex(whitespaceMap, validLength + requiredPaddingCount), 'unexpected-padding', paddingCount, 0, variant)
+        }
+        if (paddingCount < requiredPaddingCount) {
+          return createValidationResult(toSourceIndex(whitespaceMap, endIndex), 'missing-padding', paddingCount, 0, variant)
+        }
+      }
+    }
+    return createValidationResult(-1, null, paddingCount, validLength * 3 >> 2, variant)
+  }
+
+  encodeInto(input, output, offset) {
+    input = toBufferSource(input)
+    if (!InstancesIsUint8Array(output)) {
+      throw new TypeError('The output must be an instance of Uint8Array')
+    }
+    offset = toOffset(offset, output)
+    const length = TypedArrayPrototypeGetLength(input)
+    const written = this.encodedLength(length)
+    const available = TypedArrayPrototypeGetLength(output) - offset
+    if (available < written) {
+      throw new RangeError(`The output is too small, ${written} bytes are required but only ${available} are available`)
+    }
+    this[encodeSymbol](input, 0, length, this[paddingSymbol] !== 'never', output, offset)
+    wrapUint8ArrayInPlace(output, offset, getEncodedLength(length, this[paddingSymbol] !== 'never', 0, 0), this[lineLengthSymbol], this[lineSeparatorSymbol])
+    return {
+      read: length,
+      written
+    }
+  }
+
+  decodeInto(input, output, offset) {
+    input = toStringOrBufferSource(input)
+    const isString = PrimitivesIsString(input)
+    if (!InstancesIsUint8Array(output)) {
+      throw new TypeError('The output must be an instance of Uint8Array')
+    }
+    offset = toOffset(offset, output)
+    const result = isString
+      ? this[decodeFromStringSymbol](input, undefined, undefined, output, offset)
+      : this[decodeSymbol](input, undefined, undefined, output, offset)
+    return {
+      read: isString ? input.length : TypedArrayPrototypeGetLength(input),
+      written: TypedArrayPrototypeGetLength(result)
+    }
+  }
+
+  [workerConfigSymbol]() {
+    return {
+      alphabet: this[alphabetSymbol],
+      options: {
+        padding: this[paddingSymbol],
+        paddingChar: this[paddingCharSymbol],
+        negativeChar: this[negativeCharSymbol],
+        signed: this[signedSymbol],
+        strict: this[strictSymbol],
+        ignoreCase: this[ignoreCaseSymbol],
+        ignoreWhitespace: this[ignoreWhitespaceSymbol],
+        lineLength: this[lineLengthSymbol],
+        lineSeparator: this[lineSeparatorSymbol]
+      }
+    }
+  }
+
+  async [encodeIterableSymbol](iterable, output, signal) {
+    const encoder = new Base64Encoder(this, {
+      output
+    })
+    const results = []
+    for await (const chunk of iterable) {
+      if (signal !== undefined && signal.aborted) {
+        throw createAbortError(signal)
+      }
+      ArrayPrototypePush(results, encoder.update(chunk))
+    }
+    ArrayPrototypePush(results, encoder.final())
+    return output === 'string' ? ArrayPrototypeJoin(results, '') : joinUint8Arrays(results)
+  }
+
+  async [decodeIterableSymbol](iterable, signal) {
+    const decoder = new Base64Decoder(this)
+    const results = []
+    for await (const chunk of iterable) {
+      if (signal !== undefined && signal.aborted) {
+        throw createAbortError(signal)
+      }
+      ArrayPrototypePush(results, decoder.update(chunk))
+    }
+    ArrayPrototypePush(results, decoder.final())
+    return joinUint8Arrays(results)
+  }
+
+  async encodeAsync(input, options) {
+    const bytes = toUint8Array(input)
+    if (bytes === undefined && !isIterable(input)) {
+      throw new TypeError('The input must be an ArrayBuffer, an ArrayBufferView or an iterable of them')
+    }
+    options = toOptions(options)
+    const output = toOutput(options.output)
+    const signal = toSignal(options.signal)
+    if (signal !== undefined && signal.aborted) {
+      throw createAbortError(signal)
+    }
+    if (bytes === undefined) {
+      return this[encodeIterableSymbol](input, output, signal)
+    }
+    input = bytes
+    const length = TypedArrayPrototypeGetLength(input)
+    if (length <= ASYNC_THRESHOLD) {
+      return output === 'string' ? this.encodeToString(input) : this.encode(input)
+    }
+    const lineLength = this[lineLengthSymbol]
+    const lineSeparator = lineLength ? this[lineSeparatorSymbol] : ''
+    const chunkLength = getEncodeChunkLength(lineLength)
+    const chunks = []
+    for (let i = 0; i < length; i += chunkLength) {
+      ArrayPrototypePush(chunks, TypedArrayPrototypeSlice(input, i, i + chunkLength))
+    }
+    const method = output === 'string' ? 'encodeToString' : 'encode'
+    const results = await PromiseAll(ArrayPrototypeMap(chunks, chunk => runWorkerTask(this, method, chunk, signal)))
+    if (output === 'string') {
+      return ArrayPrototypeJoin(results, lineSeparator)
+    }
+    const separatorLength = lineSeparator.length
+    let resultLength = (results.length - 1) * separatorLength
+    for (let i = 0; i < results.length; i++) {
+      resultLength += TypedArrayPrototypeGetLength(results[i])
+    }
+    const result = new Uint8Array(resultLength)
+    let resultIndex = 0
+    for (let i = 0; i < results.length; i++) {
+      if (i) {
+        for (let j = 0; j < separatorLength; j++) {
+          result[resultIndex++] = StringPrototypeCharCodeAt(lineSeparator, j)
+        }
+      }
+      TypedArrayPrototypeSet(result, results[i], resultIndex)
+      resultIndex += TypedArrayPrototypeGetLength(results[i])
+    }
+    return result
+  }
+
+  async decodeAsync(input, options) {
+    const isString = PrimitivesIsString(input)
+    const bytes = isString ? input : toUint8Array(input)
+    if (bytes === undefined && !isIterable(input)) {
+      throw new TypeError('The input must be a string, an ArrayBuffer, an ArrayBufferView or an iterable of them')
+    }
+    options = toOptions(options)
+    const signal = toSignal(options.signal)
+    if (signal !== undefined && signal.aborted) {
+      throw createAbortError(signal)
+    }
+    if (bytes === undefined) {
+      return this[decodeIterableSymbol](input, signal)
+    }
+    input = bytes
+    const length = isString ? input.length : TypedArrayPrototypeGetLength(input)
+    const decodeRange = isString ? this[decodeFromStringSymbol] : this[decodeSymbol]
+    if (length <= ASYNC_THRESHOLD) {
+      return FunctionPrototypeCall(decodeRange, this, input)
+    }
+    const chunks = []
+    const chunkIndices = []
+    if (this[ignoreWhitespaceSymbol]) {
+      ArrayPrototypePush(chunks, isString ? input : TypedArrayPrototypeSlice(input))
+      ArrayPrototypePush(chunkIndices, 0)
+    } else {
+      const chunkLength = ASYNC_CHUNK_LENGTH
+      const lastChunkIndex = (length - 1) - (length - 1) % chunkLength
+      const paddingChar = this[paddingCharSymbol]
+      const paddingIndex = isString
+        ? StringPrototypeIndexOf(input, paddingChar)
+        : TypedArrayPrototypeIndexOf(input, StringPrototypeCharCodeAt(paddingChar))
+      if (paddingIndex !== -1 && paddingIndex < lastChunkIndex) {
+        return FunctionPrototypeCall(decodeRange, this, input)
+      }
+      for (let i = 0; i < length; i += chunkLength) {
+        ArrayPrototypePush(chunks, isString ? StringPrototypeSlice(input, i, i + chunkLength) : TypedArrayPrototypeSlice(input, i, i + chunkLength))
+        ArrayPrototypePush(chunkIndices, i)
+      }
+    }
+    const method = isString ? 'decodeFromString' : 'decode'
+    const results = await PromiseAll(ArrayPrototypeMap(chunks, (chunk, i) => runWorkerTask(this, method, chunk, signal, chunkIndices[i], input)))
+    return joinUint8Arrays(results)
+  }
+
+  async encodeBlob(blob, options) {
+    const {Blob} = globalThis
+    if (Blob === undefined || !FunctionPrototypeSymbolHasInstance(Blob, blob)) {
+      throw new TypeError('The blob must be an instance of Blob')
+    }
+    return this.encodeAsync(blob.stream(), options)
+  }
+
+  createEncoder(options) {
+    return new Base64Encoder(this, options)
+  }
+
+  createDecoder() {
+    return new Base64Decoder(this)
+  }
+}
+
+class Base16 extends RadixCodec {
+  constructor(alphabet, options) {
+    super(alphabet, options, base16Encoding)
+  }
+}
+
+class Base32 extends RadixCodec {
+  constructor(alphabet, options) {
+    super(alphabet, options, base32Encoding)
+  }
+}
+
+class Base32Hex extends RadixCodec {
+  constructor(alphabet, options) {
+    super(alphabet, options, base32HexEncoding)
+  }
+}
+
+const isBase64 = FunctionPrototypeBind(FunctionPrototypeSymbolHasInstance, null, Base64)
+
+const toBase64 = value => {
+  if (value === undefined) {
+    return base64
+  }
+  if (!isBase64(value)) {
+    throw new TypeError('The base64 must be an instance of Base64')
+  }
+  return value
+}
+
+const toTransformStream = transformer => {
+  const {TransformStream} = globalThis
+  if (TransformStream === undefined) {
+    throw new TypeError('TransformStream is not supported in this environment')
+  }
+  return new TransformStream(transformer)
+}
+
+const errorConstructors = {
+  RangeError,
+  SyntaxError,
+  TypeError
+}
+
+const libraryErrorConstructors = {
+  Base64InvalidCharacterError,
+  Base64PaddingError,
+  Base64LengthError
+}
+
+const createWorkerError = ({name, message, code, index, character, byte}, indexOffset, input) => {
+  if (ObjectPrototypeHasOwnProperty(libraryErrorConstructors, name)) {
+    if (index !== undefined && indexOffset) {
+      message = StringPrototypeReplace(message, ` at index ${index}`, ` at index ${index + indexOffset}`)
+      index += indexOffset
+    }
+    return new libraryErrorConstructors[name](message, {
+      code,
+      index,
+      character,
+      byte,
+      input
+    })
+  }
+  const ErrorConstructor = ObjectPrototypeHasOwnProperty(errorConstructors, name) ? errorConstructors[name] : Error
+  const error = new ErrorConstructor(message)
+  if (code !== undefined) {
+    error.code = code
+  }
+  return error
+}
+
+class WorkerPool {
+  constructor(Worker, filename, size) {
+    this.Worker = Worker
+    this.filename = filename
+    this.size = size
+    this.workers = []
+    this.idleWorkers = []
+    this.queue = []
+    this.tasks = new SafeMap()
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      const {signal} = task
+      task.resolve = resolve
+      task.reject = reject
+      if (signal !== undefined) {
+        task.onAbort = () => this.abort(task)
+        signal.addEventListener('abort', task.onAbort)
+      }
+      let worker = ArrayPrototypePop(this.idleWorkers)
+      if (worker === undefined && this.workers.length < this.size) {
+        worker = this.spawn()
+      }
+      if (worker === undefined) {
+        ArrayPrototypePush(this.queue, task)
+      } else {
+        this.dispatch(worker, task)
+      }
+    })
+  }
+
+  spawn() {
+    const worker = new this.Worker(this.filename)
+    worker.on('message', response => {
+      const task = this.tasks.get(worker)
+      if (task === undefined) {
+        return
+      }
+      this.tasks.delete(worker)
+      this.next(worker)
+      this.settle(task)
+      if (response.error === undefined) {
+        task.resolve(response.result)
+      } else {
+        task.reject(createWorkerError(response.error, task.indexOffset, task.source))
+      }
+    })
+    worker.on('error', error => {
+      const task = this.tasks.get(worker)
+      this.replace(worker)
+      if (task !== undefined) {
+        this.settle(task)
+        task.reject(error)
+      }
+    })
+    ArrayPrototypePush(this.workers, worker)
+    return worker
+  }
+
+  replace(worker) {
+    this.tasks.delete(worker)
+    this.workers = ArrayPrototypeFilter(this.workers, value => value !== worker)
+    this.idleWorkers = ArrayPrototypeFilter(this.idleWorkers, value => value !== worker)
+    const task = this.shift()
+    if (task !== undefined) {
+      this.dispatch(this.spawn(), task)
+    }
+  }
+
+  dispatch(worker, task) {
+    this.tasks.set(worker, task)
+    task.worker = worker
+    worker.ref()
+    worker.postMessage(task.message, task.transferList)
+  }
+
+  shift() {
+    let task = ArrayPrototypeShift(this.queue)
+    while (task !== undefined && task.signal !== undefined && task.signal.aborted) {
+      task = ArrayPrototypeShift(this.queue)
+    }
+    return task
+  }
+
+  next(worker) {
+    const task = this.shift()
+    if (task === undefined) {
+      worker.unref()
+      ArrayPrototypePush(this.idleWorkers, worker)
+    } else {
+      this.dispatch(worker, task)
+    }
+  }
+
+  settle(task) {
+    if (task.signal !== undefined) {
+      task.signal.removeEventListener('abort', task.onAbort)
+    }
+  }
+
+  abort(task) {
+    const {worker} = task
+    if (worker === undefined) {
+      const index = ArrayPrototypeIndexOf(this.queue, task)
+      if (index !== -1) {
+        ArrayPrototypeSplice(this.queue, index, 1)
+      }
+    } else {
+      worker.terminate()
+      this.replace(worker)
+    }
+    this.settle(task)
+    task.reject(createAbortError(task.signal))
+  }
+}
+
+const importBuiltin = async specifier => require(specifier)
+
+let workerPoolPromise
+
+const getWorkerPool = () => {
+  if (workerPoolPromise === undefined) {
+    workerPoolPromise = PromisePrototypeThen(PromiseAll([importBuiltin('worker_threads'), importBuiltin('os')]), ([{Worker}, {cpus}]) => new WorkerPool(Worker, workerFilename, MathMax(1, cpus().length)))
+  }
+  return workerPoolPromise
+}
+
+const runWorkerTask = async (base64, method, input, signal, indexOffset = 0, source = input) => {
+  const workerPool = await getWorkerPool()
+  if (signal !== undefined && signal.aborted) {
+    throw createAbortError(signal)
+  }
+  return workerPool.run({
+    message: {
+      config: base64[workerConfigSymbol](),
+      method,
+      input
+    },
+    transferList: PrimitivesIsString(input) ? [] : [TypedArrayPrototypeGetBuffer(input)],
+    signal,
+    indexOffset,
+    source
+  })
+}
+
+class Base64Encoder {
+  constructor(base64, options) {
+    options = toOptions(options)
+    this[base64Symbol] = toBase64(base64)
+    this[outputSymbol] = toOutput(options.output)
+    this[remainderSymbol] = new Uint8Array(0)
+    this[columnSymbol] = 0
+  }
+
+  get base64() {
+    return this[base64Symbol]
+  }
+
+  get output() {
+    return this[outputSymbol]
+  }
+
+  update(chunk) {
+    const bytes = toUint8Array(chunk)
+    if (bytes === undefined) {
+      throw new TypeError('The chunk must be an ArrayBuffer or an ArrayBufferView')
+    }
+    chunk = bytes
+    const base64 = this[base64Symbol]
+    const lineLength = base64[lineLengthSymbol]
+    const input = concatUint8Arrays(this[remainderSymbol], chunk)
+    const length = TypedArrayPrototypeGetLength(input)
+    const extraLength = length - length % 3
+    const result = this[outputSymbol] === 'string'
+      ? wrapString(base64[encodeToStringSymbol](input, 0, extraLength), lineLength, base64[lineSeparatorSymbol], this[columnSymbol])
+      : wrapUint8Array(base64[encodeSymbol](input, 0, extraLength, false), lineLength, base64[lineSeparatorSymbol], this[columnSymbol])
+    this[remainderSymbol] = TypedArrayPrototypeSlice(input, extraLength)
+    this[columnSymbol] = advanceColumn(this[columnSymbol], extraLength / 3 << 2, lineLength)
+    return result
+  }
+
+  final() {
+    const base64 = this[base64Symbol]
+    const input = this[remainderSymbol]
+    const result = this[outputSymbol] === 'string'
+      ? wrapString(base64[encodeToStringSymbol](input), base64[lineLengthSymbol], base64[lineSeparatorSymbol], this[columnSymbol])
+      : wrapUint8Array(base64[encodeSymbol](input, 0, undefined, base64[paddingSymbol] !== 'never'), base64[lineLengthSymbol], base64[lineSeparatorSymbol], this[columnSymbol])
+    this[remainderSymbol] = new Uint8Array(0)
+    this[columnSymbol] = 0
+    return result
+  }
+}
+
+class Base64Decoder {
+  constructor(base64) {
+    this[base64Symbol] = toBase64(base64)
+    this[remainderSymbol] = new Uint8Array(0)
+    this[offsetSymbol] = 0
+  }
+
+  get base64() {
+    return this[base64Symbol]
+  }
+
+  [decodeSymbol](input, end) {
+    const result = this[base64Symbol][decodeSymbol](input, 0, end, undefined, undefined, {
+      strict: undefined,
+      onInvalid: ON_INVALID,
+      onInvalidCharacter: undefined,
+      indexOffset: this[offsetSymbol]
+    })
+    this[remainderSymbol] = TypedArrayPrototypeSlice(input, end)
+    this[offsetSymbol] += end
+    return result
+  }
+
+  update(chunk) {
+    if (PrimitivesIsString(chunk)) {
+      chunk = latin1StringToUint8Array(chunk, this[offsetSymbol] + TypedArrayPrototypeGetLength(this[remainderSymbol]))
+    } else {
+      const bytes = toUint8Array(chunk)
+      if (bytes === undefined) {
+        throw new TypeError('The chunk must be a string, an ArrayBuffer or an ArrayBufferView')
+      }
+      chunk = bytes
+    }
+    const base64 = this[base64Symbol]
+    const ignoreWhitespace = base64[ignoreWhitespaceSymbol]
+    const paddingCharCode = StringPrototypeCharCodeAt(base64[paddingCharSymbol])
+    const input = concatUint8Arrays(this[remainderSymbol], chunk)
+    const length = TypedArrayPrototypeGetLength(input)
+    let charCount = 0
+    let paddedLength = 0
+    let extraLength = 0
+    for (let i = 0; i < length; i++) {
+      const charCode = input[i]
+      if (ignoreWhitespace && isWhitespaceCharCode(charCode)) {
+        continue
+      }
+      if (!paddedLength && charCode === paddingCharCode) {
+        paddedLength = charCount - charCount % 4 + 4
+      }
+      charCount++
+      if (!paddedLength) {
+        if (charCount % 4 === 0) {
+          extraLength = i + 1
+        }
+      } else if (charCount > paddedLength) {
+        extraLength = length
+        break
+      }
+    }
+    return this[decodeSymbol](input, extraLength)
+  }
+
+  final() {
+    const input = this[remainderSymbol]
+    const result = this[decodeSymbol](input, TypedArrayPrototypeGetLength(input))
+    this[offsetSymbol] = 0
+    return result
+  }
+}
+
+class Base64EncoderTransformStream {
+  constructor(base64) {
+    const encoder = new Base64Encoder(base64)
+    const transformStream = toTransformStream({
+      transform(chunk, controller) {
+        const result = encoder.update(PrimitivesIsString(chunk) ? stringToUint8Array(chunk) : chunk)
+        if (TypedArrayPrototypeGetLength(result)) {
+          controller.enqueue(result)
+        }
+      },
+      flush(controller) {
+        const result = encoder.final()
+        if (TypedArrayPrototypeGetLength(result)) {
+          controller.enqueue(result)
+        }
+      }
+    })
+    this[encoderSymbol] = encoder
+    this[readableSymbol] = transformStream.readable
+    this[writableSymbol] = transformStream.writable
+  }
+
+  get base64() {
+    return this[encoderSymbol].base64
+  }
+
+  get readable() {
+    return this[readableSymbol]
+  }
+
+  get writable() {
+    return this[writableSymbol]
+  }
+}
+
+class Base64DecoderTransformStream {
+  constructor(base64) {
+    const decoder = new Base64Decoder(base64)
+    const transformStream = toTransformStream({
+      transform(chunk, controller) {
+        const result = decoder.update(chunk)
+        if (TypedArrayPrototypeGetLength(result)) {
+          controller.enqueue(result)
+        }
+      },
+      flush(controller) {
+        const result = decoder.final()
+        if (TypedArrayPrototypeGetLength(result)) {
+          controller.enqueue(result)
+        }
+      }
+    })
+    this[decoderSymbol] = decoder
+    this[readableSymbol] = transformStream.readable
+    this[writableSymbol] = transformStream.writable
+  }
+
+  get base64() {
+    return this[decoderSymbol].base64
+  }
+
+  get readable() {
+    return this[readableSymbol]
+  }
+
+  get writable() {
+    return this[writableSymbol]
+  }
+}
+
+const base64 = new Base64()
+const encodeInt = FunctionPrototypeBind(Base64.prototype.encodeInt, base64)
+const decodeInt = FunctionPrototypeBind(Base64.prototype.decodeInt, base64)
+const encodeBigInt = FunctionPrototypeBind(Base64.prototype.encodeBigInt, base64)
+const decodeBigInt = FunctionPrototypeBind(Base64.prototype.decodeBigInt, base64)
+const encodeFloat64 = FunctionPrototypeBind(Base64.prototype.encodeFloat64, base64)
+const decodeFloat64 = FunctionPrototypeBind(Base64.prototype.decodeFloat64, base64)
+const encodeFloat32 = FunctionPrototypeBind(Base64.prototype.encodeFloat32, base64)
+const decodeFloat32 = FunctionPrototypeBind(Base64.prototype.decodeFloat32, base64)
+const encodeVLQ = FunctionPrototypeBind(Base64.prototype.encodeVLQ, base64)
+const decodeVLQ = FunctionPrototypeBind(Base64.prototype.decodeVLQ, base64)
+const encodeVLQMappings = FunctionPrototypeBind(Base64.prototype.encodeVLQMappings, base64)
+const decodeVLQMappings = FunctionPrototypeBind(Base64.prototype.decodeVLQMappings, base64)
+const encodeText = FunctionPrototypeBind(Base64.prototype.encodeText, base64)
+const decodeText = FunctionPrototypeBind(Base64.prototype.decodeText, base64)
+const encodeBinaryString = FunctionPrototypeBind(Base64.prototype.encodeBinaryString, base64)
+const decodeToBinaryString = FunctionPrototypeBind(Base64.prototype.decodeToBinaryString, base64)
+const encode = FunctionPrototypeBind(Base64.prototype.encode, base64)
+const decode = FunctionPrototypeBind(Base64.prototype.decode, base64)
+const encodeToString = FunctionPrototypeBind(Base64.prototype.encodeToString, base64)
+const decodeFromString = FunctionPrototypeBind(Base64.prototype.decodeFromString, base64)
+const encodeInto = FunctionPrototypeBind(Base64.prototype.encodeInto, base64)
+const decodeInto = FunctionPrototypeBind(Base64.prototype.decodeInto, base64)
+const validate = FunctionPrototypeBind(Base64.prototype.validate, base64)
+const encodeAsync = FunctionPrototypeBind(Base64.prototype.encodeAsync, base64)
+const decodeAsync = FunctionPrototypeBind(Base64.prototype.decodeAsync, base64)
+const encodeBlob = FunctionPrototypeBind(Base64.prototype.encodeBlob, base64)
+const createEncoder = FunctionPrototypeBind(Base64.prototype.createEncoder, base64)
+const createDecoder = FunctionPrototypeBind(Base64.prototype.createDecoder, base64)
+
+const base64URL = new Base64(URL_ALPHABET)
+const base64MIME = new Base64(ALPHABET, {
+  lineLength: MIME_LINE_LENGTH
+})
+const base64Sortable = new Base64(SORTABLE_ALPHABET, {
+  padding: 'never',
+  signed: 'sortable'
+})
+
+const knownVariants = [
+  ['standard', new Base64(ALPHABET, {
+    padding: 'always'
+  })],
+  ['unpadded', new Base64(ALPHABET, {
+    padding: 'never'
+  })],
+  ['url', base64URL],
+  ['mime', base64MIME],
+  ['mime-url', new Base64(URL_ALPHABET, {
+    ignoreWhitespace: true
+  })]
+]
+
+const containsWhitespace = (input, isString) => {
+  const length = isString ? input.length : TypedArrayPrototypeGetLength(input)
+  for (let i = 0; i < length; i++) {
+    if (isWhitespaceCharCode(isString ? StringPrototypeCharCodeAt(input, i) : input[i])) {
+      return true
+    }
+  }
+  return false
+}
+
+const detectVariants = input => {
+  input = toStringOrBufferSource(input)
+  const isString = PrimitivesIsString(input)
+  const isWrapped = containsWhitespace(input, isString)
+  const variants = []
+  const candidates = []
+  for (let i = 0; i < knownVariants.length; i++) {
+    const variant = knownVariants[i]
+    const [name, instance] = variant
+    if (instance[ignoreWhitespaceSymbol] === isWrapped) {
+      const validation = instance.validate(input)
+      ArrayPrototypePush(candidates, [name, validation])
+      if (validation.valid) {
+        ArrayPrototypePush(variants, variant)
+      }
+    }
+  }
+  return {
+    input,
+    isString,
+    isWrapped,
+    variants,
+    candidates
+  }
+}
+
+const detect = input => {
+  const {variants} = detectVariants(input)
+  return {
+    variants: ArrayPrototypeMap(variants, variant => variant[0]),
+    ambiguous: variants.length > 1
+  }
+}
+
+const decodeAny = value => {
+  const {input, isString, isWrapped, variants, candidates} = detectVariants(value)
+  if (!variants.length) {
+    const isURL = getVariant(input, isString) === 'url'
+    const closestName = isWrapped ? isURL ? 'mime-url' : 'mime' : isURL ? 'url' : 'standard'
+    const names = ArrayPrototypeMap(candidates, candidate => candidate[0])
+    const [, {errorIndex}] = candidates[ArrayPrototypeIndexOf(names, closestName)]
+    const length = isString ? input.length : TypedArrayPrototypeGetLength(input)
+    const charCode = errorIndex < length ? getCharCode(input, isString, errorIndex) : undefined
+    const error = new Base64InvalidCharacterError(`The input does not match any known Base64 variant, tried "${ArrayPrototypeJoin(names, '", "')}"`, {
+      code: 'ERR_BASE64_UNKNOWN_ENCODING',
+      index: errorIndex,
+      character: isString && charCode !== undefined ? StringFromCharCode(charCode) : undefined,
+      byte: isString ? undefined : charCode,
+      input
+    })
+    error.candidates = names
+    throw error
+  }
+  const [name, instance] = variants[0]
+  const result = isString ? instance.decodeFromString(input) : instance.decode(input)
+  return {
+    result,
+    variant: name,
+    variants: ArrayPrototypeMap(variants, variant => variant[0]),
+    ambiguous: variants.length > 1
+  }
+}
+
+const isTokenCharCode = charCode => (charCode >= 0x30 && charCode <= 0x39) ||
+  (charCode >= 0x41 && charCode <= 0x5a) ||
+  (charCode >= 0x61 && charCode <= 0x7a) ||
+  StringPrototypeIncludes('!#$%&\'*+-.^_`|~', StringFromCharCode(charCode))
+
+const isToken = string => {
+  const {length} = string
+  if (!length) {
+    return false
+  }
+  for (let i = 0; i < length; i++) {
+    if (!isTokenCharCode(StringPrototypeCharCodeAt(string, i))) {
+      return false
+    }
+  }
+  return true
+}
+
+const isHexCharCode = charCode => (charCode >= 0x30 && charCode <= 0x39) ||
+  (charCode >= 0x41 && charCode <= 0x46) ||
+  (charCode >= 0x61 && charCode <= 0x66)
+
+const percentEncode = string => {
+  const bytes = stringToUint8Array(string)
+  const length = TypedArrayPrototypeGetLength(bytes)
+  let result = ''
+  for (let i = 0; i < length; i++) {
+    const byte = bytes[i]
+    result += byte !== 0x25 && isTokenCharCode(byte)
+      ? StringFromCharCode(byte)
+      : `%${StringPrototypeToUpperCase(StringPrototypePadStart(NumberPrototypeToString(byte, 16), 2, '0'))}`
+  }
+  return result
+}
+
+const percentDecode = string => {
+  const bytes = stringToUint8Array(string)
+  const length = TypedArrayPrototypeGetLength(bytes)
+  const result = new Uint8Array(length)
+  let resultIndex = 0
+  for (let i = 0; i < length; i++) {
+    const byte = bytes[i]
+    if (byte === 0x25 && i + 2 < length && isHexCharCode(bytes[i + 1]) && isHexCharCode(bytes[i + 2])) {
+      result[resultIndex++] = NumberParseInt(StringFromCharCode(bytes[i + 1], bytes[i + 2]), 16)
+      i += 2
+    } else {
+      result[resultIndex++] = byte
+    }
+  }
+  return TypedArrayPrototypeSubarray(result, 0, resultIndex)
+}
+
+const isHTTPWhitespaceCharCode = charCode => charCode === 0x20 || charCode === 0x09 || charCode === 0x0a || charCode === 0x0d
+
+const trimHTTPWhitespace = string => {
+  let startIndex = 0
+  let endIndex = string.length
+  while (startIndex < endIndex && isHTTPWhitespaceCharCode(StringPrototypeCharCodeAt(string, startIndex))) {
+    startIndex++
+  }
+  while (endIndex > startIndex && isHTTPWhitespaceCharCode(StringPrototypeCharCodeAt(string, endIndex - 1))) {
+    endIndex--
+  }
+  return StringPrototypeSlice(string, startIndex, endIndex)
+}
+
+const createDataURIError = message => new SyntaxError(`Invalid data URI, ${message}`)
+
+const isMediaType = string => {
+  const slashIndex = StringPrototypeIndexOf(string, '/')
+  return slashIndex !== -1 && isToken(StringPrototypeSlice(string, 0, slashIndex)) && isToken(StringPrototypeSlice(string, slashIndex + 1))
+}
+
+const toMediaType = value => {
+  const mediaType = String(value)
+  if (!isMediaType(mediaType)) {
+    throw new SyntaxError(`Invalid media type "${mediaType}", it must be in the form "type/subtype"`)
+  }
+  return StringPrototypeToLowerCase(mediaType)
+}
+
+const parseMediaTypeParameters = (string, parameters) => {
+  const {length} = string
+  let index = 0
+  while (index < length) {
+    index++
+    while (index < length && isHTTPWhitespaceCharCode(StringPrototypeCharCodeAt(string, index))) {
+      index++
+    }
+    const nameStartIndex = index
+    while (index < length && string[index] !== ';' && string[index] !== '=') {
+      index++
+    }
+    const name = StringPrototypeToLowerCase(StringPrototypeSlice(string, nameStartIndex, index))
+    if (string[index] !== '=') {
+      if (name && !isToken(name)) {
+        throw createDataURIError(`invalid parameter name "${StringPrototypeSlice(string, nameStartIndex, index)}"`)
+      }
+      continue
+    }
+    if (!isToken(name)) {
+      throw createDataURIError(`invalid parameter name "${StringPrototypeSlice(string, nameStartIndex, index)}"`)
+    }
+    index++
+    let value = ''
+    if (string[index] === '"') {
+      index++
+      while (index < length && string[index] !== '"') {
+        if (string[index] === '\\' && index + 1 < length) {
+          index++
+        }
+        value += string[index++]
+      }
+      if (index === length) {
+        throw createDataURIError(`the quoted value of the parameter "${name}" is not terminated`)
+      }
+      index++
+      const nextIndex = StringPrototypeIndexOf(string, ';', index)
+      if (trimHTTPWhitespace(StringPrototypeSlice(string, index, nextIndex === -1 ? length : nextIndex))) {
+        throw createDataURIError(`unexpected characters after the quoted value of the parameter "${name}"`)
+      }
+      index = nextIndex === -1 ? length : nextIndex
+    } else {
+      const nextIndex = StringPrototypeIndexOf(string, ';', index)
+      value = trimHTTPWhitespace(StringPrototypeSlice(string, index, nextIndex === -1 ? length : nextIndex))
+      if (!value) {
+        throw createDataURIError(`the parameter "${name}" must have a value`)
+      }
+      value = uint8ArrayToString(percentDecode(value))
+      index = nextIndex === -1 ? length : nextIndex
+    }
+    if (parameters[name] === undefined) {
+      parameters[name] = value
+    }
+  }
+  return parameters
+}
+
+const toDataURI = (input, options) => {
+  input = PrimitivesIsString(input) ? stringToUint8Array(input) : toBufferSource(input)
+  options = toOptions(options)
+  const {parameters} = options
+  let header = options.mediaType === undefined ? '' : toMediaType(options.mediaType)
+  if (parameters !== undefined) {
+    if (!TypesIsObject(parameters)) {
+      throw new TypeError('The parameters must be an object')
+    }
+    const names = ObjectKeys(parameters)
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i]
+      if (!isToken(name)) {
+        throw new SyntaxError(`Invalid parameter name "${name}"`)
+      }
+      header += `;${StringPrototypeToLowerCase(name)}=${percentEncode(String(parameters[name]))}`
+    }
+  }
+  return `data:${header};base64,${base64[encodeToStringSymbol](input)}`
+}
+
+const parseDataURI = value => {
+  let uri = ''
+  const string = String(value)
+  for (let i = 0; i < string.length; i++) {
+    const charCode = StringPrototypeCharCodeAt(string, i)
+    if (charCode !== 0x09 && charCode !== 0x0a && charCode !== 0x0d) {
+      uri += string[i]
+    }
+  }
+  let startIndex = 0
+  let endIndex = uri.length
+  while (startIndex < endIndex && StringPrototypeCharCodeAt(uri, startIndex) <= 0x20) {
+    startIndex++
+  }
+  while (endIndex > startIndex && StringPrototypeCharCodeAt(uri, endIndex - 1) <= 0x20) {
+    endIndex--
+  }
+  const fragmentIndex = StringPrototypeIndexOf(uri, '#', startIndex)
+  if (fragmentIndex !== -1 && fragmentIndex < endIndex) {
+    endIndex = fragmentIndex
+  }
+  if (StringPrototypeToLowerCase(StringPrototypeSlice(uri, startIndex, startIndex + 5)) !== 'data:') {
+    throw createDataURIError('the scheme must be "data:"')
+  }
+  const commaIndex = StringPrototypeIndexOf(uri, ',', startIndex + 5)
+  if (commaIndex === -1 || commaIndex >= endIndex) {
+    throw createDataURIError('the comma separating the header from the data is missing')
+  }
+  let header = trimHTTPWhitespace(StringPrototypeSlice(uri, startIndex + 5, commaIndex))
+  const body = percentDecode(StringPrototypeSlice(uri, commaIndex + 1, endIndex))
+  let hasBase64Param = false
+  const semicolonIndex = StringPrototypeLastIndexOf(header, ';')
+  if (semicolonIndex !== -1 && StringPrototypeToLowerCase(trimHTTPWhitespace(StringPrototypeSlice(header, semicolonIndex + 1))) === 'base64') {
+    hasBase64Param = true
+    header = trimHTTPWhitespace(StringPrototypeSlice(header, 0, semicolonIndex))
+  }
+  const parameters = ObjectCreate(null)
+  let mediaType = 'text/plain'
+  if (!header) {
+    parameters.charset = 'US-ASCII'
+  } else {
+    const parametersIndex = StringPrototypeIndexOf(header, ';')
+    if (parametersIndex) {
+      const essence = trimHTTPWhitespace(StringPrototypeSlice(header, 0, parametersIndex === -1 ? header.length : parametersIndex))
+      if (!isMediaType(essence)) {
+        throw createDataURIError(`the media type "${essence}" must be in the form "type/subtype"`)
+      }
+      mediaType = StringPrototypeToLowerCase(essence)
+    }
+    if (parametersIndex !== -1) {
+      parseMediaTypeParameters(StringPrototypeSlice(header, parametersIndex), parameters)
+    }
+  }
+  let data = body
+  if (hasBase64Param) {
+    let binaryString = ''
+    const length = TypedArrayPrototypeGetLength(body)
+    for (let i = 0; i < length; i++) {
+      binaryString += StringFromCharCode(body[i])
+    }
+    data = base64[decodeForgivingSymbol](binaryString, message => createDataURIError(`the Base64 data is malformed. ${message}`))
+  }
+  return {
+    mediaType,
+    parameters,
+    isBase64: hasBase64Param,
+    data
+  }
+}
+
+const PEM_BEGIN = '-----BEGIN '
+const PEM_END = '-----END '
+const PEM_DASHES = '-----'
+
+const base64PEMStrict = new Base64(ALPHABET, {
+  padding: 'always',
+  strict: true,
+  ignoreWhitespace: true
+})
+const base64PEMLax = new Base64(ALPHABET, {
+  ignoreWhitespace: true
+})
+
+const isPEMLabel = label => {
+  const {length} = label
+  for (let i = 0; i < length; i++) {
+    const charCode = StringPrototypeCharCodeAt(label, i)
+    if (charCode === 0x2d || charCode === 0x20) {
+      if (!i || i === length - 1) {
+        return false
+      }
+      const previousCharCode = StringPrototypeCharCodeAt(label, i - 1)
+      if (previousCharCode === 0x2d || previousCharCode === 0x20) {
+        return false
+      }
+    } else if (charCode < 0x21 || charCode > 0x7e) {
+      return false
+    }
+  }
+  return true
+}
+
+const splitLines = text => {
+  const lines = []
+  const {length} = text
+  let lineStartIndex = 0
+  for (let i = 0; i < length; i++) {
+    const charCode = StringPrototypeCharCodeAt(text, i)
+    if (charCode === 0x0a || charCode === 0x0d) {
+      ArrayPrototypePush(lines, StringPrototypeSlice(text, lineStartIndex, i))
+      if (charCode === 0x0d && StringPrototypeCharCodeAt(text, i + 1) === 0x0a) {
+        i++
+      }
+      lineStartIndex = i + 1
+    }
+  }
+  if (lineStartIndex < length) {
+    ArrayPrototypePush(lines, StringPrototypeSlice(text, lineStartIndex))
+  }
+  return lines
+}
+
+const getLeadingWhitespaceLength = string => {
+  let index = 0
+  while (index < string.length && isWhitespaceCharCode(StringPrototypeCharCodeAt(string, index))) {
+    index++
+  }
+  return index
+}
+
+const decodeLines = (instance, lines, firstLineNumber, createError) => {
+  try {
+    return instance.decodeFromString(ArrayPrototypeJoin(lines, '\n'))
+  } catch (error) {
+    let {index} = error
+    if (index === undefined) {
+      throw error
+    }
+    let i = 0
+    while (i < lines.length - 1 && index > lines[i].length) {
+      index -= lines[i].length + 1
+      i++
+    }
+    throw createError(error, firstLineNumber + i, index + 1)
+  }
+}
+
+const parsePEMBoundary = (line, prefix, lineNumber, isStrict) => {
+  const startIndex = isStrict ? 0 : getLeadingWhitespaceLength(line)
+  if (StringPrototypeIndexOf(line, prefix, startIndex) !== startIndex) {
+    return
+  }
+  const boundary = isStrict ? StringPrototypeSlice(line, startIndex) : trimHTTPWhitespace(line)
+  const labelIndex = startIndex + prefix.length
+  if (boundary.length < prefix.length + PEM_DASHES.length || StringPrototypeSlice(boundary, -PEM_DASHES.length) !== PEM_DASHES) {
+    throw new Base64PEMError(`Invalid encapsulation boundary at line ${lineNumber}, it must end with "${PEM_DASHES}"`, {
+      line: lineNumber,
+      column: startIndex + boundary.length + 1
+    })
+  }
+  const label = StringPrototypeSlice(boundary, prefix.length, -PEM_DASHES.length)
+  if (!isPEMLabel(label)) {
+    throw new Base64PEMError(`Invalid label "${label}" at line ${lineNumber}, column ${labelIndex + 1}`, {
+      code: 'ERR_BASE64_PEM_INVALID_LABEL',
+      label,
+      line: lineNumber,
+      column: labelIndex + 1
+    })
+  }
+  return label
+}
+
+const encodePEM = (input, label, options) => {
+  input = toBufferSource(input)
+  label = String(label)
+  if (!isPEMLabel(label)) {
+    throw new SyntaxError(`Invalid PEM label "${label}"`)
+  }
+  options = toOptions(options)
+  const {headers} = options
+  const lineSeparator = options.lineSeparator === undefined ? '\n' : toLineSeparator(options.lineSeparator, base64[alphabetLookupSymbol])
+  let result = `${PEM_BEGIN}${label}${PEM_DASHES}${lineSeparator}`
+  if (headers !== undefined) {
+    if (!TypesIsObject(headers)) {
+      throw new TypeError('The headers must be an object')
+    }
+    const names = ObjectKeys(headers)
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i]
+      const value = String(headers[name])
+      if (!isToken(name)) {
+        throw new SyntaxError(`Invalid PEM header name "${name}"`)
+      }
+      if (StringPrototypeIncludes(value, '\r') || StringPrototypeIncludes(value, '\n')) {
+        throw new SyntaxError(`The value of the PEM header "${name}" must not contain line breaks`)
+      }
+      result += `${name}: ${value}${lineSeparator}`
+    }
+    if (names.length) {
+      result += lineSeparator
+    }
+  }
+  const body = wrapString(base64[encodeToStringSymbol](input), PEM_LINE_LENGTH, lineSeparator)
+  if (body) {
+    result += `${body}${lineSeparator}`
+  }
+  return `${result}${PEM_END}${label}${PEM_DASHES}${lineSeparator}`
+}
+
+const decodePEM = (input, options) => {
+  const text = PrimitivesIsString(input) ? input : uint8ArrayToString(toBufferSource(input))
+  options = toOptions(options)
+  const isStrict = !!options.strict
+  const lines = splitLines(text)
+  const lineCount = lines.length
+  const blocks = []
+  let lineIndex = 0
+  while (lineIndex < lineCount) {
+    const beginLineNumber = lineIndex + 1
+    const label = parsePEMBoundary(lines[lineIndex++], PEM_BEGIN, beginLineNumber, isStrict)
+    if (label === undefined) {
+      continue
+    }
+    const headers = ObjectCreate(null)
+    if (lineIndex < lineCount && StringPrototypeIncludes(lines[lineIndex], ':')) {
+      if (isStrict) {
+        throw new Base64PEMError(`Unexpected header at line ${lineIndex + 1}, headers are not allowed in strict mode`, {
+          code: 'ERR_BASE64_PEM_INVALID_HEADER',
+          label,
+          line: lineIndex + 1,
+          column: 1
+        })
+      }
+      let name
+      while (lineIndex < lineCount && trimHTTPWhitespace(lines[lineIndex])) {
+        const line = lines[lineIndex++]
+        if (name !== undefined && getLeadingWhitespaceLength(line)) {
+          headers[name] = `${headers[name]} ${trimHTTPWhitespace(line)}`
+          continue
+        }
+        const colonIndex = StringPrototypeIndexOf(line, ':')
+        name = StringPrototypeSlice(line, 0, colonIndex)
+        if (colonIndex === -1 || !isToken(name)) {
+          throw new Base64PEMError(`Invalid header at line ${lineIndex}, expected "Name: value" or an empty line after the headers`, {
+            code: 'ERR_BASE64_PEM_INVALID_HEADER',
+            label,
+            line: lineIndex,
+            column: 1
+          })
+        }
+        headers[name] = trimHTTPWhitespace(StringPrototypeSlice(line, colonIndex + 1))
+      }
+      lineIndex++
+    }
+    const bodyLineNumber = lineIndex + 1
+    const bodyLines = []
+    let endLabel
+    while (lineIndex < lineCount) {
+      const lineNumber = lineIndex + 1
+      const line = lines[lineIndex++]
+      endLabel = parsePEMBoundary(line, PEM_END, lineNumber, isStrict)
+      if (endLabel !== undefined) {
+        if (endLabel !== label) {
+          const column = (isStrict ? 0 : getLeadingWhitespaceLength(line)) + PEM_END.length + 1
+          throw new Base64PEMError(`The label "${endLabel}" at line ${lineNumber}, column ${column} does not match the label "${label}" at line ${beginLineNumber}`, {
+            code: 'ERR_BASE64_PEM_LABEL_MISMATCH',
+            label,
+            line: lineNumber,
+            column
+          })
+        }
+        break
+      }
+      if (parsePEMBoundary(line, PEM_BEGIN, lineNumber, isStrict) !== undefined) {
+        endLabel = undefined
+        lineIndex--
+        break
+      }
+      ArrayPrototypePush(bodyLines, line)
+    }
+    if (endLabel === undefined) {
+      throw new Base64PEMError(`Missing the end boundary for the label "${label}" at line ${beginLineNumber}`, {
+        code: 'ERR_BASE64_PEM_MISSING_END',
+        label,
+        line: beginLineNumber,
+        column: 1
+      })
+    }
+    const bodyLineCount = bodyLines.length
+    if (isStrict) {
+      for (let i = 0; i < bodyLineCount; i++) {
+        const line = bodyLines[i]
+        const {length} = line
+        for (let j = 0; j < length; j++) {
+          if (isWhitespaceCharCode(StringPrototypeCharCodeAt(line, j))) {
+            throw new Base64PEMError(`Unexpected whitespace at line ${bodyLineNumber + i}, column ${j + 1}, whitespace is not allowed in strict mode`, {
+              code: 'ERR_BASE64_INVALID_CHARACTER',
+              character: line[j],
+              label,
+              line: bodyLineNumber + i,
+              column: j + 1
+            })
+          }
+        }
+        if (length > PEM_LINE_LENGTH || (i < bodyLineCount - 1 && length !== PEM_LINE_LENGTH) || !length) {
+          throw new Base64PEMError(`Invalid line length at line ${bodyLineNumber + i}, the lines must contain exactly ${PEM_LINE_LENGTH} characters except the last one`, {
+            code: 'ERR_BASE64_PEM_LINE_LENGTH',
+            label,
+            line: bodyLineNumber + i,
+            column: MathMin(length, PEM_LINE_LENGTH) + 1
+          })
+        }
+      }
+    }
+    const data = decodeLines(isStrict ? base64PEMStrict : base64PEMLax, bodyLines, bodyLineNumber, (error, line, column) => new Base64PEMError(`Malformed Base64 data in the "${label}" block at line ${line}, column ${column}`, {
+      code: error.code,
+      character: error.character,
+      label,
+      line,
+      column,
+      cause: error
+    }))
+    ArrayPrototypePush(blocks, {
+      label,
+      headers,
+      data
+    })
+  }
+  return blocks
+}
+
+const ARMOR_BEGIN = '-----BEGIN PGP '
+const ARMOR_END = '-----END PGP '
+const ARMOR_TYPE = 'MESSAGE'
+const ARMOR_PART = 'MESSAGE, PART '
+const ARMOR_TYPES = ['MESSAGE', 'PUBLIC KEY BLOCK', 'PRIVATE KEY BLOCK', 'SIGNATURE', 'SIGNED MESSAGE']
+const CRC24_INIT = 0xb704ce
+const CRC24_POLY = 0x1864cfb
+
+const crc24Table = new Uint32Array(256)
+for (let i = 0; i < 256; i++) {
+  let crc = i << 16
+  for (let j = 0; j < 8; j++) {
+    crc <<= 1
+    if (crc & 0x1000000) {
+      crc ^= CRC24_POLY
+    }
+  }
+  crc24Table[i] = crc & 0xffffff
+}
+
+const crc24 = input => {
+  const length = TypedArrayPrototypeGetLength(input)
+  let crc = CRC24_INIT
+  for (let i = 0; i < length; i++) {
+    crc = (crc << 8 ^ crc24Table[(crc >> 16 ^ input[i]) & 0xff]) & 0xffffff
+  }
+  return crc
+}
+
+const encodeChecksum = crc => `=${base64[encodeToStringSymbol](new Uint8Array([crc >> 16, crc >> 8 & 0xff, crc & 0xff]))}`
+
+const isPartNumber = string => {
+  const {length} = string
+  if (!length || string[0] === '0') {
+    return false
+  }
+  for (let i = 0; i < length; i++) {
+    const charCode = StringPrototypeCharCodeAt(string, i)
+    if (charCode < 0x30 || charCode > 0x39) {
+      return false
+    }
+  }
+  return NumberIsSafeInteger(Number(string))
+}
+
+const parseArmorType = type => {
+  if (ArrayPrototypeIncludes(ARMOR_TYPES, type)) {
+    return {
+      type
+    }
+  }
+  if (!StringPrototypeStartsWith(type, ARMOR_PART)) {
+    return
+  }
+  const part = StringPrototypeSlice(type, ARMOR_PART.length)
+  const slashIndex = StringPrototypeIndexOf(part, '/')
+  const partNumber = slashIndex === -1 ? part : StringPrototypeSlice(part, 0, slashIndex)
+  const totalNumber = slashIndex === -1 ? undefined : StringPrototypeSlice(part, slashIndex + 1)
+  if (!isPartNumber(partNumber) || (totalNumber !== undefined && (!isPartNumber(totalNumber) || Number(partNumber) > Number(totalNumber)))) {
+    return
+  }
+  return {
+    type: ARMOR_TYPE,
+    part: Number(partNumber),
+    total: totalNumber === undefined ? undefined : Number(totalNumber)
+  }
+}
+
+const toArmorType = value => {
+  if (value === undefined) {
+    return ARMOR_TYPE
+  }
+  const type = String(value)
+  if (parseArmorType(type) === undefined) {
+    throw new SyntaxError(`Invalid armor type "${type}", it must be one of "${ArrayPrototypeJoin(ARMOR_TYPES, '", "')}" or "${ARMOR_PART}X/Y"`)
+  }
+  return type
+}
+
+const parseArmorBoundary = (line, prefix, lineNumber) => {
+  if (!StringPrototypeStartsWith(line, prefix)) {
+    return
+  }
+  const boundary = StringPrototypeTrimEnd(line)
+  if (boundary.length < prefix.length + PEM_DASHES.length || !StringPrototypeEndsWith(boundary, PEM_DASHES)) {
+    throw new Base64ArmorError(`Invalid armor header line at line ${lineNumber}, it must end with "${PEM_DASHES}"`, {
+      line: lineNumber,
+      column: boundary.length + 1
+    })
+  }
+  const type = StringPrototypeSlice(boundary, prefix.length, -PEM_DASHES.length)
+  const result = parseArmorType(type)
+  if (result === undefined) {
+    throw new Base64ArmorError(`Invalid armor type "${type}" at line ${lineNumber}, column ${prefix.length + 1}`, {
+      code: 'ERR_BASE64_ARMOR_INVALID_TYPE',
+      type,
+      line: lineNumber,
+      column: prefix.length + 1
+    })
   }
+  result.label = type
+  return result
+}
 
-  [decodeFromStringSymbol](string, start, end) {
-    const alphabetLookup = this[alphabetLookupSymbol]
-    const {length} = string
-    let startIndex = 0
-    let endIndex = length
-    if (start !== undefined) {
-      start = TypesToIntegerOrInfinity(start)
-      startIndex = start < 0 ? MathMax(0, length + start) : MathMin(start, length)
-    }
-    if (end !== undefined) {
-      end = TypesToIntegerOrInfinity(end)
-      endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
-    }
-    const newLength = MathMax(0, endIndex - startIndex)
-    let paddingCount = 0
-    if (newLength % 4 === 0) {
-      const lastIndex = endIndex - 1
-      while (paddingCount < newLength && paddingCount < 2 && string[lastIndex - paddingCount] === PADDING_CHAR) {
-        paddingCount++
+const parseArmorHeaders = (lines, lineIndex, type) => {
+  const headers = ObjectCreate(null)
+  while (lineIndex < lines.length) {
+    const line = StringPrototypeTrimEnd(lines[lineIndex++])
+    if (!line) {
+      return {
+        headers,
+        lineIndex
       }
     }
-    const validLength = newLength - paddingCount
-    const extraBytes = validLength % 4
-    const extraLength = startIndex + validLength - extraBytes
-    const result = new Uint8Array(validLength * 3 >> 2)
-    let index = startIndex
-    let resultIndex = 0
-    while (index < extraLength) {
-      const char = string[index]
-      const charIndex = alphabetLookup[char]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${index} for Base64 encoding`)
+    const colonIndex = StringPrototypeIndexOf(line, ': ')
+    const name = StringPrototypeSlice(line, 0, colonIndex)
+    if (colonIndex === -1 || !isToken(name)) {
+      if (StringPrototypeIncludes(line, ':') || type === 'SIGNED MESSAGE') {
+        throw new Base64ArmorError(`Invalid armor header at line ${lineIndex}, expected "Key: value" or an empty line after the headers`, {
+          code: 'ERR_BASE64_ARMOR_INVALID_HEADER',
+          type,
+          line: lineIndex,
+          column: 1
+        })
       }
-      index++
-      const char2 = string[index]
-      const charIndex2 = alphabetLookup[char2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid character "${char2}" at index ${index} for Base64 encoding`)
+      return {
+        headers,
+        lineIndex: lineIndex - 1
       }
-      index++
-      const char3 = string[index]
-      const charIndex3 = alphabetLookup[char3]
-      if (charIndex3 === undefined) {
-        throw new SyntaxError(`Invalid character "${char3}" at index ${index} for Base64 encoding`)
+    }
+    const value = StringPrototypeSlice(line, colonIndex + 2)
+    headers[name] = headers[name] === undefined ? value : `${headers[name]}, ${value}`
+  }
+  return {
+    headers,
+    lineIndex
+  }
+}
+
+const parseArmorBlock = (lines, lineIndex, boundary) => {
+  const beginLineNumber = lineIndex
+  const {label} = boundary
+  const {headers, lineIndex: bodyLineIndex} = parseArmorHeaders(lines, lineIndex, label)
+  const bodyLines = []
+  let checksumLine
+  let checksumLineNumber
+  lineIndex = bodyLineIndex
+  while (lineIndex < lines.length) {
+    const lineNumber = lineIndex + 1
+    const line = lines[lineIndex++]
+    const endBoundary = parseArmorBoundary(line, ARMOR_END, lineNumber)
+    if (endBoundary !== undefined) {
+      if (endBoundary.label !== label) {
+        throw new Base64ArmorError(`The armor type "${endBoundary.label}" at line ${lineNumber}, column ${ARMOR_END.length + 1} does not match the armor type "${label}" at line ${beginLineNumber}`, {
+          code: 'ERR_BASE64_ARMOR_TYPE_MISMATCH',
+          type: label,
+          line: lineNumber,
+          column: ARMOR_END.length + 1
+        })
       }
-      index++
-      const char4 = string[index]
-      const charIndex4 = alphabetLookup[char4]
-      if (charIndex4 === undefined) {
-        throw new SyntaxError(`Invalid character "${char4}" at index ${index} for Base64 encoding`)
+      let data = decodeLines(base64PEMLax, bodyLines, bodyLineIndex + 1, (error, line, column) => new Base64ArmorError(`Malformed Base64 data in the "${label}" armor at line ${line}, column ${column}`, {
+        code: error.code,
+        character: error.character,
+        type: label,
+        line,
+        column,
+        cause: error
+      }))
+      if (checksumLine !== undefined) {
+        const checksum = decodeLines(base64PEMLax, [StringPrototypeSlice(checksumLine, 1)], checksumLineNumber, (error, line, column) => new Base64ArmorError(`Malformed checksum in the "${label}" armor at line ${line}, column ${column + 1}`, {
+          code: error.code,
+          character: error.character,
+          type: label,
+          line,
+          column: column + 1,
+          cause: error
+        }))
+        if (TypedArrayPrototypeGetLength(checksum) !== 3) {
+          throw new Base64ArmorError(`Invalid checksum length at line ${checksumLineNumber}, the checksum must be 3 bytes`, {
+            code: 'ERR_BASE64_ARMOR_INVALID_CHECKSUM',
+            type: label,
+            line: checksumLineNumber,
+            column: 1
+          })
+        }
+        const expected = checksum[0] << 16 | checksum[1] << 8 | checksum[2]
+        const actual = crc24(data)
+        if (expected !== actual) {
+          throw new Base64ChecksumError(`The CRC-24 checksum ${encodeChecksum(expected)} at line ${checksumLineNumber} does not match the checksum ${encodeChecksum(actual)} of the "${label}" armor data`, {
+            type: label,
+            line: checksumLineNumber,
+            expected,
+            actual
+          })
+        }
       }
-      index++
-      const number = (charIndex << 18) + (charIndex2 << 12) + (charIndex3 << 6) + charIndex4
-      result[resultIndex++] = number >> 16 & 0xff
-      result[resultIndex++] = number >> 8 & 0xff
-      result[resultIndex++] = number & 0xff
-    }
-    if (extraBytes === 1) {
-      const char = string[index]
-      const charIndex = alphabetLookup[char]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${index} for Base64 encoding`)
-      }
-    } else if (extraBytes === 2) {
-      const char = string[index]
-      const charIndex = alphabetLookup[char]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${index} for Base64 encoding`)
+      return {
+        block: {
+          type: boundary.type,
+          headers,
+          data
+        },
+        lineIndex
       }
-      index++
-      const char2 = string[index]
-      const charIndex2 = alphabetLookup[char2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid character "${char2}" at index ${index} for Base64 encoding`)
-      }
-      const number = (charIndex << 2) + (charIndex2 >> 4)
-      result[resultIndex] = number & 0xff
-    } else if (extraBytes === 3) {
-      const char = string[index]
-      const charIndex = alphabetLookup[char]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid character "${char}" at index ${index} for Base64 encoding`)
+    }
+    if (parseArmorBoundary(line, ARMOR_BEGIN, lineNumber) !== undefined) {
+      break
+    }
+    if (checksumLine !== undefined) {
+      if (StringPrototypeTrimEnd(line)) {
+        throw new Base64ArmorError(`Unexpected data after the checksum at line ${lineNumber}`, {
+          code: 'ERR_BASE64_ARMOR_INVALID_CHECKSUM',
+          type: label,
+          line: lineNumber,
+          column: 1
+        })
       }
-      index++
-      const char2 = string[index]
-      const charIndex2 = alphabetLookup[char2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid character "${char2}" at index ${index} for Base64 encoding`)
+    } else if (line[0] === '=' && StringPrototypeTrimEnd(line).length === 5) {
+      checksumLine = StringPrototypeTrimEnd(line)
+      checksumLineNumber = lineNumber
+    } else {
+      ArrayPrototypePush(bodyLines, line)
+    }
+  }
+  throw new Base64ArmorError(`Missing the armor tail line for the armor type "${label}" at line ${beginLineNumber}`, {
+    code: 'ERR_BASE64_ARMOR_MISSING_END',
+    type: label,
+    line: beginLineNumber,
+    column: 1
+  })
+}
+
+const parseCleartext = (lines, lineIndex) => {
+  const beginLineNumber = lineIndex
+  const parsed = parseArmorHeaders(lines, lineIndex, 'SIGNED MESSAGE')
+  const textLines = []
+  lineIndex = parsed.lineIndex
+  while (lineIndex < lines.length) {
+    const lineNumber = lineIndex + 1
+    const line = lines[lineIndex++]
+    const boundary = parseArmorBoundary(line, ARMOR_BEGIN, lineNumber)
+    if (boundary !== undefined) {
+      if (boundary.type !== 'SIGNATURE') {
+        throw new Base64ArmorError(`Unexpected armor type "${boundary.label}" at line ${lineNumber}, the cleartext must be followed by a signature`, {
+          code: 'ERR_BASE64_ARMOR_TYPE_MISMATCH',
+          type: boundary.label,
+          line: lineNumber,
+          column: ARMOR_BEGIN.length + 1
+        })
       }
-      index++
-      const char3 = string[index]
-      const charIndex3 = alphabetLookup[char3]
-      if (charIndex3 === undefined) {
-        throw new SyntaxError(`Invalid character "${char3}" at index ${index} for Base64 encoding`)
+      const result = parseArmorBlock(lines, lineIndex, boundary)
+      return {
+        block: {
+          type: 'SIGNED MESSAGE',
+          headers: parsed.headers,
+          text: ArrayPrototypeJoin(textLines, '\n'),
+          signature: result.block
+        },
+        lineIndex: result.lineIndex
       }
-      const number = (charIndex << 10) + (charIndex2 << 4) + (charIndex3 >> 2)
-      result[resultIndex++] = number >> 8 & 0xff
-      result[resultIndex] = number & 0xff
     }
-    return result
+    if (line[0] === '-') {
+      if (line[1] !== ' ') {
+        throw new Base64ArmorError(`Invalid dash-escaped line at line ${lineNumber}, lines starting with "-" must be escaped with "- "`, {
+          code: 'ERR_BASE64_ARMOR_INVALID_DASH_ESCAPE',
+          type: 'SIGNED MESSAGE',
+          line: lineNumber,
+          column: 2
+        })
+      }
+      ArrayPrototypePush(textLines, StringPrototypeSlice(line, 2))
+    } else {
+      ArrayPrototypePush(textLines, line)
+    }
   }
+  throw new Base64ArmorError(`Missing the signature for the cleartext at line ${beginLineNumber}`, {
+    code: 'ERR_BASE64_ARMOR_MISSING_END',
+    type: 'SIGNED MESSAGE',
+    line: beginLineNumber,
+    column: 1
+  })
+}
 
-  encodeText(string, start, end) {
-    return this[encodeToStringSymbol](stringToUint8Array(String(string)), start, end)
+const joinArmorParts = (parts, lineNumber) => {
+  const count = parts.length
+  const {total} = parts[0]
+  ArrayPrototypeSort(parts, (a, b) => a.part - b.part)
+  for (let i = 0; i < count; i++) {
+    const {part} = parts[i]
+    if (part !== i + 1 || parts[i].total !== total) {
+      throw new Base64ArmorError(`Invalid multi-part armor starting at line ${lineNumber}, the part ${i + 1}${total === undefined ? '' : `/${total}`} is missing or duplicated`, {
+        code: 'ERR_BASE64_ARMOR_MISSING_PART',
+        type: ARMOR_TYPE,
+        line: lineNumber,
+        column: 1
+      })
+    }
   }
-
-  decodeText(string, start, end) {
-    return uint8ArrayToString(this[decodeFromStringSymbol](String(string), start, end))
+  if (total !== undefined && count !== total) {
+    throw new Base64ArmorError(`Invalid multi-part armor starting at line ${lineNumber}, expected ${total} parts but ${count} were given`, {
+      code: 'ERR_BASE64_ARMOR_MISSING_PART',
+      type: ARMOR_TYPE,
+      line: lineNumber,
+      column: 1
+    })
+  }
+  return {
+    type: ARMOR_TYPE,
+    headers: parts[0].block.headers,
+    data: joinUint8Arrays(ArrayPrototypeMap(parts, part => part.block.data))
   }
+}
 
-  encode(input, start, end) {
-    if (!InstancesIsUint8Array(input)) {
-      throw new TypeError('The input must be an instance of Uint8Array')
+const encodeArmorHeaders = (headers, lineSeparator) => {
+  if (headers === undefined) {
+    return ''
+  }
+  if (!TypesIsObject(headers)) {
+    throw new TypeError('The headers must be an object')
+  }
+  let result = ''
+  const names = ObjectKeys(headers)
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i]
+    const value = String(headers[name])
+    if (!isToken(name)) {
+      throw new SyntaxError(`Invalid armor header name "${name}"`)
     }
-    const baseMap = this[baseMapSymbol]
-    const length = TypesToLength(input.length)
-    let startIndex = 0
-    let endIndex = length
-    if (start !== undefined) {
-      start = TypesToIntegerOrInfinity(start)
-      startIndex = start < 0 ? MathMax(0, length + start) : MathMin(start, length)
+    if (StringPrototypeIncludes(value, '\r') || StringPrototypeIncludes(value, '\n')) {
+      throw new SyntaxError(`The value of the armor header "${name}" must not contain line breaks`)
     }
-    if (end !== undefined) {
-      end = TypesToIntegerOrInfinity(end)
-      endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
+    result += `${name}: ${value}${lineSeparator}`
+  }
+  return result
+}
+
+const encodeArmor = (input, options) => {
+  input = toBufferSource(input)
+  options = toOptions(options)
+  const type = toArmorType(options.type)
+  const lineSeparator = options.lineSeparator === undefined ? '\n' : toLineSeparator(options.lineSeparator, base64[alphabetLookupSymbol])
+  let result = ''
+  let headers = options.headers
+  let armorType = type
+  if (type === 'SIGNED MESSAGE') {
+    if (!PrimitivesIsString(options.text)) {
+      throw new TypeError('The text of the signed message must be a string')
     }
-    const newLength = MathMax(0, endIndex - startIndex)
-    const extraBytes = newLength % 3
-    const extraLength = endIndex - extraBytes
-    const result = new Uint8Array((newLength << 2 | 2) / 3)
-    let index = startIndex
-    let resultIndex = 0
-    while (index < extraLength) {
-      const number = (input[index++] << 16) + (input[index++] << 8) + input[index++]
-      result[resultIndex++] = baseMap[number >> 18 & 0x3f]
-      result[resultIndex++] = baseMap[number >> 12 & 0x3f]
-      result[resultIndex++] = baseMap[number >> 6 & 0x3f]
-      result[resultIndex++] = baseMap[number & 0x3f]
-    }
-    if (extraBytes === 1) {
-      const number = input[index]
-      result[resultIndex++] = baseMap[number >> 2]
-      result[resultIndex] = baseMap[number << 4 & 0x3f]
-    } else if (extraBytes === 2) {
-      const number = (input[index++] << 8) + input[index]
-      result[resultIndex++] = baseMap[number >> 10]
-      result[resultIndex++] = baseMap[number >> 4 & 0x3f]
-      result[resultIndex] = baseMap[number << 2 & 0x3f]
+    result += `${ARMOR_BEGIN}${type}${PEM_DASHES}${lineSeparator}${encodeArmorHeaders(headers, lineSeparator)}${lineSeparator}`
+    const textLines = splitLines(options.text)
+    for (let i = 0; i < textLines.length; i++) {
+      const line = textLines[i]
+      result += `${line[0] === '-' || StringPrototypeStartsWith(line, 'From ') ? `- ${line}` : line}${lineSeparator}`
     }
-    return result
+    headers = options.signatureHeaders
+    armorType = 'SIGNATURE'
   }
+  const body = wrapString(base64[encodeToStringSymbol](input), MIME_LINE_LENGTH, lineSeparator)
+  result += `${ARMOR_BEGIN}${armorType}${PEM_DASHES}${lineSeparator}${encodeArmorHeaders(headers, lineSeparator)}${lineSeparator}`
+  if (body) {
+    result += `${body}${lineSeparator}`
+  }
+  if (options.checksum === undefined || options.checksum) {
+    result += `${encodeChecksum(crc24(input))}${lineSeparator}`
+  }
+  return `${result}${ARMOR_END}${armorType}${PEM_DASHES}${lineSeparator}`
+}
 
-  decode(input, start, end) {
-    if (!InstancesIsUint8Array(input)) {
-      throw new TypeError('The input must be an instance of Uint8Array')
+const decodeArmor = input => {
+  const text = PrimitivesIsString(input) ? input : uint8ArrayToString(toBufferSource(input))
+  const lines = splitLines(text)
+  const blocks = []
+  let parts
+  let partsLineNumber
+  let lineIndex = 0
+  while (lineIndex < lines.length) {
+    const lineNumber = lineIndex + 1
+    const boundary = parseArmorBoundary(lines[lineIndex++], ARMOR_BEGIN, lineNumber)
+    if (boundary === undefined) {
+      continue
     }
-    const baseMapLookup = this[baseMapLookupSymbol]
-    const length = TypesToLength(input.length)
-    let startIndex = 0
-    let endIndex = length
-    if (start !== undefined) {
-      start = TypesToIntegerOrInfinity(start)
-      startIndex = start < 0 ? MathMax(0, length + start) : MathMin(start, length)
+    const result = boundary.type === 'SIGNED MESSAGE' ? parseCleartext(lines, lineIndex) : parseArmorBlock(lines, lineIndex, boundary)
+    lineIndex = result.lineIndex
+    if (boundary.part === undefined) {
+      if (parts !== undefined) {
+        ArrayPrototypePush(blocks, joinArmorParts(parts, partsLineNumber))
+        parts = undefined
+      }
+      ArrayPrototypePush(blocks, result.block)
+      continue
     }
-    if (end !== undefined) {
-      end = TypesToIntegerOrInfinity(end)
-      endIndex = end < 0 ? MathMax(0, length + end) : MathMin(end, length)
+    if (parts === undefined) {
+      parts = []
+      partsLineNumber = lineNumber
     }
-    const newLength = MathMax(0, endIndex - startIndex)
-    const extraBytes = newLength % 4
-    const extraLength = endIndex - extraBytes
-    const result = new Uint8Array(newLength * 3 >> 2)
-    let index = startIndex
-    let resultIndex = 0
-    while (index < extraLength) {
-      const charCode = input[index]
-      const charIndex = baseMapLookup[charCode]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode2 = input[index]
-      const charIndex2 = baseMapLookup[charCode2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode2, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode3 = input[index]
-      const charIndex3 = baseMapLookup[charCode3]
-      if (charIndex3 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode3, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode4 = input[index]
-      const charIndex4 = baseMapLookup[charCode4]
-      if (charIndex4 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode4, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const number = (charIndex << 18) + (charIndex2 << 12) + (charIndex3 << 6) + charIndex4
-      result[resultIndex++] = number >> 16 & 0xff
-      result[resultIndex++] = number >> 8 & 0xff
-      result[resultIndex++] = number & 0xff
-    }
-    if (extraBytes === 1) {
-      const charCode = input[index]
-      const charIndex = baseMapLookup[charCode]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode, 16)}" at index ${index} for Base64 encoding`)
-      }
-    } else if (extraBytes === 2) {
-      const charCode = input[index]
-      const charIndex = baseMapLookup[charCode]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode2 = input[index]
-      const charIndex2 = baseMapLookup[charCode2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode2, 16)}" at index ${index} for Base64 encoding`)
-      }
-      const number = (charIndex << 2) + (charIndex2 >> 4)
-      result[resultIndex] = number & 0xff
-    } else if (extraBytes === 3) {
-      const charCode = input[index]
-      const charIndex = baseMapLookup[charCode]
-      if (charIndex === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode2 = input[index]
-      const charIndex2 = baseMapLookup[charCode2]
-      if (charIndex2 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode2, 16)}" at index ${index} for Base64 encoding`)
-      }
-      index++
-      const charCode3 = input[index]
-      const charIndex3 = baseMapLookup[charCode3]
-      if (charIndex3 === undefined) {
-        throw new SyntaxError(`Invalid byte "${NumberPrototypeToString(charCode3, 16)}" at index ${index} for Base64 encoding`)
-      }
-      const number = (charIndex << 10) + (charIndex2 << 4) + (charIndex3 >> 2)
-      result[resultIndex++] = number >> 8 & 0xff
-      result[resultIndex] = number & 0xff
+    ArrayPrototypePush(parts, {
+      part: boundary.part,
+      total: boundary.total,
+      block: result.block
+    })
+    if (boundary.total !== undefined && parts.length === boundary.total) {
+      ArrayPrototypePush(blocks, joinArmorParts(parts, partsLineNumber))
+      parts = undefined
     }
-    return result
   }
-
-  encodeToString(input, start, end) {
-    if (!InstancesIsUint8Array(input)) {
-      throw new TypeError('The input must be an instance of Uint8Array')
-    }
-    return this[encodeToStringSymbol](input, start, end)
+  if (parts !== undefined) {
+    ArrayPrototypePush(blocks, joinArmorParts(parts, partsLineNumber))
   }
+  return blocks
+}
 
-  decodeFromString(input, start, end) {
-    if (!PrimitivesIsString(input)) {
-      throw new TypeError('The input must be a string')
-    }
-    return this[decodeFromStringSymbol](input, start, end)
+const base64JOSE = new Base64(URL_ALPHABET, {
+  padding: 'never',
+  strict: true
+})
+
+const encodeJSON = value => {
+  const json = JSONStringify(value)
+  if (json === undefined) {
+    throw new TypeError('The value cannot be serialized to JSON')
   }
+  return base64JOSE[encodeToStringSymbol](stringToUint8Array(json))
 }
 
-const isBase64 = FunctionPrototypeBind(FunctionPrototypeSymbolHasInstance, null, Base64)
+const decodeJSONSegment = bytes => JSONParse(base64JOSE[uint8ArrayToTextSymbol](bytes, {
+  encoding: TEXT_ENCODING,
+  fatal: true,
+  ignoreBOM: true
+}))
 
-const base64 = new Base64()
-const encodeInt = FunctionPrototypeBind(Base64.prototype.encodeInt, base64)
-const decodeInt = FunctionPrototypeBind(Base64.prototype.decodeInt, base64)
-const encodeBigInt = FunctionPrototypeBind(Base64.prototype.encodeBigInt, base64)
-const decodeBigInt = FunctionPrototypeBind(Base64.prototype.decodeBigInt, base64)
-const encodeText = FunctionPrototypeBind(Base64.prototype.encodeText, base64)
-const decodeText = FunctionPrototypeBind(Base64.prototype.decodeText, base64)
-const encode = FunctionPrototypeBind(Base64.prototype.encode, base64)
-const decode = FunctionPrototypeBind(Base64.prototype.decode, base64)
-const encodeToString = FunctionPrototypeBind(Base64.prototype.encodeToString, base64)
-const decodeFromString = FunctionPrototypeBind(Base64.prototype.decodeFromString, base64)
+const decodeJSON = segment => {
+  if (!PrimitivesIsString(segment)) {
+    throw new TypeError('The segment must be a string')
+  }
+  return decodeJSONSegment(base64JOSE.decodeFromString(segment))
+}
+
+const encodeURLSafeText = FunctionPrototypeBind(Base64.prototype.encodeText, base64URL)
+const decodeURLSafeText = FunctionPrototypeBind(Base64.prototype.decodeText, base64URL)
+const encodeURLSafe = FunctionPrototypeBind(Base64.prototype.encode, base64URL)
+const decodeURLSafe = FunctionPrototypeBind(Base64.prototype.decode, base64URL)
+const encodeURLSafeToString = FunctionPrototypeBind(Base64.prototype.encodeToString, base64URL)
+const decodeURLSafeFromString = FunctionPrototypeBind(Base64.prototype.decodeFromString, base64URL)
 
 ObjectDefineProperties(Base64, {
   BASE: {
@@ -548,15 +3897,51 @@ ObjectDefineProperties(Base64, {
   ALPHABET: {
     value: ALPHABET
   },
+  URL_ALPHABET: {
+    value: URL_ALPHABET
+  },
+  SORTABLE_ALPHABET: {
+    value: SORTABLE_ALPHABET
+  },
+  BASE16_ALPHABET: {
+    value: BASE16_ALPHABET
+  },
+  BASE32_ALPHABET: {
+    value: BASE32_ALPHABET
+  },
+  BASE32HEX_ALPHABET: {
+    value: BASE32HEX_ALPHABET
+  },
   BITS_PER_CHAR: {
     value: BITS_PER_CHAR
   },
+  PADDING: {
+    value: PADDING
+  },
   PADDING_CHAR: {
     value: PADDING_CHAR
   },
   NEGATIVE_CHAR: {
     value: NEGATIVE_CHAR
   },
+  SIGNED: {
+    value: SIGNED
+  },
+  ON_INVALID: {
+    value: ON_INVALID
+  },
+  TEXT_ENCODING: {
+    value: TEXT_ENCODING
+  },
+  LINE_SEPARATOR: {
+    value: LINE_SEPARATOR
+  },
+  MIME_LINE_LENGTH: {
+    value: MIME_LINE_LENGTH
+  },
+  PEM_LINE_LENGTH: {
+    value: PEM_LINE_LENGTH
+  },
   isBase64: {
     value: isBase64
   },
@@ -566,6 +3951,36 @@ ObjectDefineProperties(Base64, {
   isBase64String: {
     value: isBase64String
   },
+  detect: {
+    value: detect
+  },
+  decodeAny: {
+    value: decodeAny
+  },
+  toDataURI: {
+    value: toDataURI
+  },
+  parseDataURI: {
+    value: parseDataURI
+  },
+  encodePEM: {
+    value: encodePEM
+  },
+  decodePEM: {
+    value: decodePEM
+  },
+  encodeArmor: {
+    value: encodeArmor
+  },
+  decodeArmor: {
+    value: decodeArmor
+  },
+  encodeJSON: {
+    value: encodeJSON
+  },
+  decodeJSON: {
+    value: decodeJSON
+  },
   encodeInt: {
     value: encodeInt
   },
@@ -578,12 +3993,42 @@ ObjectDefineProperties(Base64, {
   decodeBigInt: {
     value: decodeBigInt
   },
+  encodeFloat64: {
+    value: encodeFloat64
+  },
+  decodeFloat64: {
+    value: decodeFloat64
+  },
+  encodeFloat32: {
+    value: encodeFloat32
+  },
+  decodeFloat32: {
+    value: decodeFloat32
+  },
+  encodeVLQ: {
+    value: encodeVLQ
+  },
+  decodeVLQ: {
+    value: decodeVLQ
+  },
+  encodeVLQMappings: {
+    value: encodeVLQMappings
+  },
+  decodeVLQMappings: {
+    value: decodeVLQMappings
+  },
   encodeText: {
     value: encodeText
   },
   decodeText: {
     value: decodeText
   },
+  encodeBinaryString: {
+    value: encodeBinaryString
+  },
+  decodeToBinaryString: {
+    value: decodeToBinaryString
+  },
   encode: {
     value: encode
   },
@@ -595,6 +4040,114 @@ ObjectDefineProperties(Base64, {
   },
   decodeFromString: {
     value: decodeFromString
+  },
+  encodeInto: {
+    value: encodeInto
+  },
+  decodeInto: {
+    value: decodeInto
+  },
+  validate: {
+    value: validate
+  },
+  encodedLength: {
+    value: encodedLength
+  },
+  decodedLength: {
+    value: decodedLength
+  },
+  encodeAsync: {
+    value: encodeAsync
+  },
+  decodeAsync: {
+    value: decodeAsync
+  },
+  encodeBlob: {
+    value: encodeBlob
+  },
+  createEncoder: {
+    value: createEncoder
+  },
+  createDecoder: {
+    value: createDecoder
+  },
+  RadixInvalidCharacterError: {
+    value: RadixInvalidCharacterError
+  },
+  RadixPaddingError: {
+    value: RadixPaddingError
+  },
+  RadixLengthError: {
+    value: RadixLengthError
+  },
+  Base64InvalidCharacterError: {
+    value: Base64InvalidCharacterError
+  },
+  Base64PaddingError: {
+    value: Base64PaddingError
+  },
+  Base64LengthError: {
+    value: Base64LengthError
+  },
+  Base64PEMError: {
+    value: Base64PEMError
+  },
+  Base64ArmorError: {
+    value: Base64ArmorError
+  },
+  Base64ChecksumError: {
+    value: Base64ChecksumError
+  },
+  Base64JWSError: {
+    value: Base64JWSError
+  },
+  Base64Encoder: {
+    value: Base64Encoder
+  },
+  Base64Decoder: {
+    value: Base64Decoder
+  },
+  Base64EncoderTransformStream: {
+    value: Base64EncoderTransformStream
+  },
+  Base64DecoderTransformStream: {
+    value: Base64DecoderTransformStream
+  },
+  Base16: {
+    value: Base16
+  },
+  Base32: {
+    value: Base32
+  },
+  Base32Hex: {
+    value: Base32Hex
+  },
+  URL: {
+    value: base64URL
+  },
+  MIME: {
+    value: base64MIME
+  },
+  SORTABLE: {
+    value: base64Sortable
+  },
+  encodeURLSafeText: {
+    value: encodeURLSafeText
+  },
+  decodeURLSafeText: {
+    value: decodeURLSafeText
+  },
+  encodeURLSafe: {
+    value: encodeURLSafe
+  },
+  decodeURLSafe: {
+    value: decodeURLSafe
+  },
+  encodeURLSafeToString: {
+    value: encodeURLSafeToString
+  },
+  decodeURLSafeFromString: {
+    value: decodeURLSafeFromString
   }
 })
 ObjectDefineProperties(Base64.prototype, {
@@ -602,5 +4155,143 @@ ObjectDefineProperties(Base64.prototype, {
     value: 'Base64'
   }
 })
+ObjectDefineProperties(Base16.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base16'
+  }
+})
+ObjectDefineProperties(Base32.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base32'
+  }
+})
+ObjectDefineProperties(Base32Hex.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base32Hex'
+  }
+})
+ObjectDefineProperties(RadixInvalidCharacterError.prototype, {
+  name: {
+    value: 'RadixInvalidCharacterError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'RadixInvalidCharacterError'
+  }
+})
+ObjectDefineProperties(RadixPaddingError.prototype, {
+  name: {
+    value: 'RadixPaddingError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'RadixPaddingError'
+  }
+})
+ObjectDefineProperties(RadixLengthError.prototype, {
+  name: {
+    value: 'RadixLengthError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'RadixLengthError'
+  }
+})
+ObjectDefineProperties(Base64InvalidCharacterError.prototype, {
+  name: {
+    value: 'Base64InvalidCharacterError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64InvalidCharacterError'
+  }
+})
+
+ObjectDefineProperties(Base64PaddingError.prototype, {
+  name: {
+    value: 'Base64PaddingError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64PaddingError'
+  }
+})
+
+ObjectDefineProperties(Base64LengthError.prototype, {
+  name: {
+    value: 'Base64LengthError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64LengthError'
+  }
+})
+ObjectDefineProperties(Base64PEMError.prototype, {
+  name: {
+    value: 'Base64PEMError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64PEMError'
+  }
+})
+ObjectDefineProperties(Base64ArmorError.prototype, {
+  name: {
+    value: 'Base64ArmorError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64ArmorError'
+  }
+})
+ObjectDefineProperties(Base64ChecksumError.prototype, {
+  name: {
+    value: 'Base64ChecksumError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64ChecksumError'
+  }
+})
+ObjectDefineProperties(Base64JWSError.prototype, {
+  name: {
+    value: 'Base64JWSError',
+    writable: true,
+    configurable: true
+  },
+  [SymbolToStringTag]: {
+    value: 'Base64JWSError'
+  }
+})
+
+ObjectDefineProperties(Base64Encoder.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64Encoder'
+  }
+})
+ObjectDefineProperties(Base64Decoder.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64Decoder'
+  }
+})
+ObjectDefineProperties(Base64EncoderTransformStream.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64EncoderTransformStream'
+  }
+})
+ObjectDefineProperties(Base64DecoderTransformStream.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64DecoderTransformStream'
+  }
+})
 
 module.exports = Base64
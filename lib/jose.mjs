@@ -0,0 +1,367 @@
+import { KeyObject, createHmac, createSecretKey, createPublicKey, createPrivateKey, sign, verify, timingSafeEqual } from 'crypto'
+import {
+  globalThis,
+  ObjectCreate,
+  ObjectPrototypeHasOwnProperty,
+  FunctionPrototypeBind,
+  FunctionPrototypeCall,
+  FunctionPrototypeSymbolHasInstance,
+  SafeMap,
+  TypeError,
+  JSONParse,
+  DataViewPrototypeGetBuffer,
+  DataViewPrototypeGetByteLength,
+  DataViewPrototypeGetByteOffset,
+  MathClz32,
+  ArrayPrototypeIncludes,
+  ArrayIsArray,
+  StringPrototypeIncludes,
+  StringPrototypeSplit,
+  TypedArrayPrototypeGetLength,
+  TypedArrayPrototypeGetBuffer,
+  TypedArrayPrototypeGetByteLength,
+  TypedArrayPrototypeGetByteOffset,
+  Uint8Array,
+  PrimitivesIsString,
+  TypesIsObject,
+  TypesIsAnyArrayBuffer,
+  TypesIsArrayBufferView,
+  TypesIsDataView,
+  InstancesIsUint8Array
+} from '@darkwolf/primordials'
+import Base64 from './index.mjs'
+
+const {TextEncoder, TextDecoder} = globalThis
+const {URL_ALPHABET, TEXT_ENCODING, encodeJSON, Base64JWSError} = Base64
+
+const textEncoder = new TextEncoder()
+const stringToUint8Array = FunctionPrototypeBind(TextEncoder.prototype.encode, textEncoder)
+const textDecoder = new TextDecoder()
+const uint8ArrayToString = FunctionPrototypeBind(TextDecoder.prototype.decode, textDecoder)
+const jsonDecoder = new TextDecoder(TEXT_ENCODING, {
+  fatal: true,
+  ignoreBOM: true
+})
+
+const PEM_BEGIN = '-----BEGIN '
+
+const JWS_SEGMENT_NAMES = ['header', 'payload', 'signature']
+
+const base64JOSE = new Base64(URL_ALPHABET, {
+  padding: 'never',
+  strict: true
+})
+
+const toOptions = value => {
+  if (value === undefined) {
+    return ObjectCreate(null)
+  }
+  if (!TypesIsObject(value)) {
+    throw new TypeError('The options must be an object')
+  }
+  return value
+}
+
+const toUint8Array = value => {
+  if (InstancesIsUint8Array(value)) {
+    return value
+  }
+  if (TypesIsAnyArrayBuffer(value)) {
+    return new Uint8Array(value)
+  }
+  if (TypesIsDataView(value)) {
+    return new Uint8Array(DataViewPrototypeGetBuffer(value), DataViewPrototypeGetByteOffset(value), DataViewPrototypeGetByteLength(value))
+  }
+  if (TypesIsArrayBufferView(value)) {
+    return new Uint8Array(TypedArrayPrototypeGetBuffer(value), TypedArrayPrototypeGetByteOffset(value), TypedArrayPrototypeGetByteLength(value))
+  }
+}
+
+const decodeJSONSegment = bytes => JSONParse(FunctionPrototypeCall(TextDecoder.prototype.decode, jsonDecoder, bytes))
+
+const jwsAlgorithms = new SafeMap([
+  ['HS256', {hash: 'sha256', keyType: 'secret'}],
+  ['HS384', {hash: 'sha384', keyType: 'secret'}],
+  ['HS512', {hash: 'sha512', keyType: 'secret'}],
+  ['RS256', {hash: 'sha256', keyType: 'rsa'}],
+  ['ES256', {hash: 'sha256', keyType: 'ec', namedCurve: 'prime256v1', signatureLength: 64}],
+  ['EdDSA', {hash: null, keyType: 'okp'}]
+])
+
+const createJWSMalformedError = (message, segment, cause) => new Base64JWSError(`Invalid JWS, ${message}`, {
+  code: 'ERR_BASE64_JWS_MALFORMED',
+  segment,
+  cause
+})
+
+const getJWSAlgorithm = (alg, algorithms) => {
+  const algorithm = PrimitivesIsString(alg) ? jwsAlgorithms.get(alg) : undefined
+  if (algorithm === undefined || (algorithms !== undefined && !ArrayPrototypeIncludes(algorithms, alg))) {
+    throw new Base64JWSError(`The "${alg}" algorithm is not ${algorithm === undefined ? 'supported' : 'allowed'}`, {
+      code: 'ERR_BASE64_JWS_UNSUPPORTED_ALGORITHM',
+      segment: 0,
+      algorithm: alg
+    })
+  }
+  return algorithm
+}
+
+const createJWSKeyError = (alg, message, cause) => new Base64JWSError(`Invalid key for the "${alg}" algorithm, ${message}`, {
+  code: 'ERR_BASE64_JWS_INVALID_KEY',
+  algorithm: alg,
+  cause
+})
+
+const DER_KEY_TYPES = [
+  [createPublicKey, 'spki'],
+  [createPublicKey, 'pkcs1'],
+  [createPrivateKey, 'pkcs8'],
+  [createPrivateKey, 'pkcs1'],
+  [createPrivateKey, 'sec1']
+]
+
+const P256_SPKI_PREFIX = [0x30, 0x59, 0x30, 0x13, 0x06, 0x07, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x02, 0x01, 0x06, 0x08, 0x2a, 0x86, 0x48, 0xce, 0x3d, 0x03, 0x01, 0x07]
+
+const isDERKey = bytes => {
+  if (bytes[0] !== 0x30) {
+    return false
+  }
+  for (let i = 0; i < DER_KEY_TYPES.length; i++) {
+    const [createKey, type] = DER_KEY_TYPES[i]
+    try {
+      createKey({
+        key: bytes,
+        format: 'der',
+        type
+      })
+    } catch (error) {
+      continue
+    }
+    return true
+  }
+  return false
+}
+
+const readDERHeader = (bytes, index) => {
+  let length = bytes[index + 1]
+  index += 2
+  if (length & 0x80) {
+    const count = length & 0x7f
+    length = 0
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[index++]
+    }
+  }
+  return {
+    index,
+    length
+  }
+}
+
+const getRSAModulusLength = publicKey => {
+  const bytes = publicKey.export({
+    format: 'der',
+    type: 'pkcs1'
+  })
+  let {index, length} = readDERHeader(bytes, readDERHeader(bytes, 0).index)
+  while (length && !bytes[index]) {
+    index++
+    length--
+  }
+  return length && (length - 1) * 8 + 32 - MathClz32(bytes[index])
+}
+
+const getECNamedCurve = publicKey => {
+  const bytes = publicKey.export({
+    format: 'der',
+    type: 'spki'
+  })
+  for (let i = 0; i < P256_SPKI_PREFIX.length; i++) {
+    if (bytes[i] !== P256_SPKI_PREFIX[i]) {
+      return
+    }
+  }
+  return 'prime256v1'
+}
+
+const getAsymmetricKeyDetails = (key, keyType) => {
+  if (key.asymmetricKeyDetails !== undefined) {
+    return key.asymmetricKeyDetails
+  }
+  const publicKey = key.type === 'private' ? createPublicKey(key) : key
+  return keyType === 'rsa' ? {
+    modulusLength: getRSAModulusLength(publicKey)
+  } : {
+    namedCurve: getECNamedCurve(publicKey)
+  }
+}
+
+const toJWSSecretKey = (key, alg) => {
+  if (FunctionPrototypeSymbolHasInstance(KeyObject, key)) {
+    if (key.type !== 'secret') {
+      throw createJWSKeyError(alg, 'expected a secret key')
+    }
+    return key
+  }
+  if (PrimitivesIsString(key)) {
+    if (StringPrototypeIncludes(key, PEM_BEGIN)) {
+      throw createJWSKeyError(alg, 'expected a secret key but a PEM key was given')
+    }
+    return createSecretKey(stringToUint8Array(key))
+  }
+  const bytes = toUint8Array(key)
+  if (bytes === undefined) {
+    throw createJWSKeyError(alg, 'expected a string, an ArrayBuffer, an ArrayBufferView or a secret KeyObject')
+  }
+  if (StringPrototypeIncludes(uint8ArrayToString(bytes), PEM_BEGIN)) {
+    throw createJWSKeyError(alg, 'expected a secret key but a PEM key was given')
+  }
+  if (isDERKey(bytes)) {
+    throw createJWSKeyError(alg, 'expected a secret key but a DER key was given')
+  }
+  return createSecretKey(bytes)
+}
+
+const toJWSAsymmetricKey = (key, alg, algorithm, isPrivate) => {
+  if (FunctionPrototypeSymbolHasInstance(KeyObject, key)) {
+    if (key.type === 'secret' || (isPrivate && key.type !== 'private')) {
+      throw createJWSKeyError(alg, `expected ${isPrivate ? 'a private' : 'a public or a private'} key`)
+    }
+  } else {
+    try {
+      key = isPrivate ? createPrivateKey(key) : createPublicKey(key)
+    } catch (error) {
+      throw createJWSKeyError(alg, error.message, error)
+    }
+  }
+  const {asymmetricKeyType} = key
+  switch (algorithm.keyType) {
+    case 'rsa': {
+      if (asymmetricKeyType !== 'rsa') {
+        throw createJWSKeyError(alg, `expected an RSA key but an ${asymmetricKeyType} key was given`)
+      }
+      if (getAsymmetricKeyDetails(key, 'rsa').modulusLength < 2048) {
+        throw createJWSKeyError(alg, 'the RSA modulus must be at least 2048 bits')
+      }
+      break
+    }
+    case 'ec': {
+      if (asymmetricKeyType !== 'ec' || getAsymmetricKeyDetails(key, 'ec').namedCurve !== algorithm.namedCurve) {
+        throw createJWSKeyError(alg, 'expected an EC key on the P-256 curve')
+      }
+      break
+    }
+    default: {
+      if (asymmetricKeyType !== 'ed25519' && asymmetricKeyType !== 'ed448') {
+        throw createJWSKeyError(alg, `expected an Ed25519 or an Ed448 key but an ${asymmetricKeyType} key was given`)
+      }
+    }
+  }
+  return key
+}
+
+const toJWSKey = (key, alg, algorithm, isPrivate) => algorithm.keyType === 'secret' ? toJWSSecretKey(key, alg) : toJWSAsymmetricKey(key, alg, algorithm, isPrivate)
+
+const signJWS = (input, key, algorithm) => {
+  const {hash, keyType} = algorithm
+  if (keyType === 'secret') {
+    return createHmac(hash, key).update(input).digest()
+  }
+  return sign(hash, input, keyType === 'ec' ? {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  } : key)
+}
+
+const verifyJWS = (input, signature, key, algorithm) => {
+  const {hash, keyType, signatureLength} = algorithm
+  if (keyType === 'secret') {
+    const expected = createHmac(hash, key).update(input).digest()
+    return TypedArrayPrototypeGetLength(signature) === TypedArrayPrototypeGetLength(expected) && timingSafeEqual(signature, expected)
+  }
+  if (signatureLength !== undefined && TypedArrayPrototypeGetLength(signature) !== signatureLength) {
+    return false
+  }
+  return verify(hash, input, keyType === 'ec' ? {
+    key,
+    dsaEncoding: 'ieee-p1363'
+  } : key, signature)
+}
+
+const signCompact = (header, payload, key) => {
+  if (!TypesIsObject(header) || ArrayIsArray(header)) {
+    throw new TypeError('The header must be an object')
+  }
+  const {alg} = header
+  const algorithm = getJWSAlgorithm(alg)
+  key = toJWSKey(key, alg, algorithm, true)
+  const bytes = toUint8Array(payload)
+  const signingInput = `${encodeJSON(header)}.${bytes === undefined ? encodeJSON(payload) : base64JOSE.encodeToString(bytes)}`
+  const signature = signJWS(stringToUint8Array(signingInput), key, algorithm)
+  return `${signingInput}.${base64JOSE.encodeToString(signature)}`
+}
+
+const decodeJWSSegment = (segment, index) => {
+  try {
+    return base64JOSE.decodeFromString(segment)
+  } catch (error) {
+    throw createJWSMalformedError(`the ${JWS_SEGMENT_NAMES[index]} segment is not canonical unpadded Base64URL. ${error.message}`, index, error)
+  }
+}
+
+const verifyCompact = (token, key, options) => {
+  if (!PrimitivesIsString(token)) {
+    throw new TypeError('The token must be a string')
+  }
+  options = toOptions(options)
+  const {algorithms} = options
+  if (algorithms !== undefined && !ArrayIsArray(algorithms)) {
+    throw new TypeError('The algorithms must be an array')
+  }
+  const segments = StringPrototypeSplit(token, '.')
+  if (segments.length !== 3) {
+    throw createJWSMalformedError(`expected 3 segments but ${segments.length} were given`)
+  }
+  const headerBytes = decodeJWSSegment(segments[0], 0)
+  let header
+  try {
+    header = decodeJSONSegment(headerBytes)
+  } catch (error) {
+    throw createJWSMalformedError(`the header segment is not valid UTF-8 JSON. ${error.message}`, 0, error)
+  }
+  if (!TypesIsObject(header) || ArrayIsArray(header)) {
+    throw createJWSMalformedError('the header must be a JSON object', 0)
+  }
+  if (ObjectPrototypeHasOwnProperty(header, 'crit')) {
+    throw createJWSMalformedError('the "crit" header parameter is not supported', 0)
+  }
+  const {alg} = header
+  const algorithm = getJWSAlgorithm(alg, algorithms)
+  key = toJWSKey(key, alg, algorithm, false)
+  const payloadBytes = decodeJWSSegment(segments[1], 1)
+  const signature = decodeJWSSegment(segments[2], 2)
+  if (!verifyJWS(stringToUint8Array(`${segments[0]}.${segments[1]}`), signature, key, algorithm)) {
+    throw new Base64JWSError('Invalid JWS, the signature does not match', {
+      code: 'ERR_BASE64_JWS_SIGNATURE_MISMATCH',
+      segment: 2,
+      algorithm: alg
+    })
+  }
+  let payload = payloadBytes
+  if (options.json === undefined || options.json) {
+    try {
+      payload = decodeJSONSegment(payloadBytes)
+    } catch (error) {
+      throw createJWSMalformedError(`the payload segment is not valid UTF-8 JSON. ${error.message}`, 1, error)
+    }
+  }
+  return {
+    header,
+    payload
+  }
+}
+
+export {
+  signCompact,
+  verifyCompact
+}
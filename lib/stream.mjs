@@ -0,0 +1,110 @@
+import { Transform } from 'stream'
+import {
+  ObjectDefineProperties,
+  Symbol,
+  SymbolToStringTag,
+  TypedArrayPrototypeGetLength
+} from '@darkwolf/primordials'
+import Base64 from './index.mjs'
+
+const {Base64Encoder, Base64Decoder} = Base64
+
+const encoderSymbol = Symbol('encoder')
+const decoderSymbol = Symbol('decoder')
+
+class Base64EncoderStream extends Transform {
+  constructor(base64, options) {
+    super(options)
+    this[encoderSymbol] = new Base64Encoder(base64)
+  }
+
+  get base64() {
+    return this[encoderSymbol].base64
+  }
+
+  _transform(chunk, encoding, callback) {
+    let result
+    try {
+      result = this[encoderSymbol].update(chunk)
+    } catch (error) {
+      callback(error)
+      return
+    }
+    if (TypedArrayPrototypeGetLength(result)) {
+      this.push(result)
+    }
+    callback()
+  }
+
+  _flush(callback) {
+    let result
+    try {
+      result = this[encoderSymbol].final()
+    } catch (error) {
+      callback(error)
+      return
+    }
+    if (TypedArrayPrototypeGetLength(result)) {
+      this.push(result)
+    }
+    callback()
+  }
+}
+
+class Base64DecoderStream extends Transform {
+  constructor(base64, options) {
+    super({
+      defaultEncoding: 'latin1',
+      ...options
+    })
+    this[decoderSymbol] = new Base64Decoder(base64)
+  }
+
+  get base64() {
+    return this[decoderSymbol].base64
+  }
+
+  _transform(chunk, encoding, callback) {
+    let result
+    try {
+      result = this[decoderSymbol].update(chunk)
+    } catch (error) {
+      callback(error)
+      return
+    }
+    if (TypedArrayPrototypeGetLength(result)) {
+      this.push(result)
+    }
+    callback()
+  }
+
+  _flush(callback) {
+    let result
+    try {
+      result = this[decoderSymbol].final()
+    } catch (error) {
+      callback(error)
+      return
+    }
+    if (TypedArrayPrototypeGetLength(result)) {
+      this.push(result)
+    }
+    callback()
+  }
+}
+
+ObjectDefineProperties(Base64EncoderStream.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64EncoderStream'
+  }
+})
+ObjectDefineProperties(Base64DecoderStream.prototype, {
+  [SymbolToStringTag]: {
+    value: 'Base64DecoderStream'
+  }
+})
+
+export {
+  Base64EncoderStream,
+  Base64DecoderStream
+}
@@ -0,0 +1,49 @@
+'use strict'
+const { parentPort } = require('worker_threads')
+const {
+  JSONStringify,
+  SafeMap,
+  PrimitivesIsString
+} = require('@darkwolf/primordials')
+const Base64 = require('./index.cjs')
+
+const MAX_INSTANCES = 16
+
+const instances = new SafeMap()
+
+const getInstance = config => {
+  const key = JSONStringify(config)
+  let instance = instances.get(key)
+  if (instance === undefined) {
+    instance = new Base64(config.alphabet, config.options)
+    if (instances.size >= MAX_INSTANCES) {
+      instances.delete(instances.keys().next().value)
+    }
+  } else {
+    instances.delete(key)
+  }
+  instances.set(key, instance)
+  return instance
+}
+
+parentPort.on('message', ({config, method, input}) => {
+  let result
+  try {
+    result = getInstance(config)[method](input)
+  } catch (error) {
+    parentPort.postMessage({
+      error: {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        index: error.index,
+        character: error.character,
+        byte: error.byte
+      }
+    })
+    return
+  }
+  parentPort.postMessage({
+    result
+  }, PrimitivesIsString(result) ? [] : [result.buffer])
+})
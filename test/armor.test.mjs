@@ -0,0 +1,43 @@
+import { strict as assert } from 'assert'
+import Base64 from '../lib/index.mjs'
+
+const {Base64ChecksumError} = Base64
+
+const data = new TextEncoder().encode('123456789')
+
+describe('OpenPGP armor', () => {
+  it('appends the RFC 4880 CRC-24 checksum', () => {
+    const armored = Base64.encodeArmor(data, {type: 'MESSAGE', headers: {Comment: 'Alice'}})
+    assert.equal(armored, '-----BEGIN PGP MESSAGE-----\nComment: Alice\n\nMTIzNDU2Nzg5\n=Ic8C\n-----END PGP MESSAGE-----\n')
+    const [block] = Base64.decodeArmor(armored)
+    assert.equal(block.type, 'MESSAGE')
+    assert.equal(block.headers.Comment, 'Alice')
+    assert.deepEqual(block.data, data)
+  })
+
+  it('rejects corrupted data', () => {
+    const armored = Base64.encodeArmor(data, {type: 'MESSAGE'}).replace('MTIz', 'MTIy')
+    assert.throws(() => Base64.decodeArmor(armored), error => {
+      assert.ok(error instanceof Base64ChecksumError)
+      assert.equal(error.expected, 0x21cf02)
+      return true
+    })
+  })
+
+  it('round-trips cleartext signatures with dash-escaping', () => {
+    const armored = Base64.encodeArmor(data, {type: 'SIGNED MESSAGE', text: 'Hello\n-dash line', headers: {Hash: 'SHA256'}})
+    assert.ok(armored.includes('\n- -dash line\n'))
+    const [block] = Base64.decodeArmor(armored)
+    assert.equal(block.text, 'Hello\n-dash line')
+    assert.equal(block.signature.type, 'SIGNATURE')
+    assert.deepEqual(block.signature.data, data)
+  })
+
+  it('joins multi-part messages', () => {
+    const part1 = Base64.encodeArmor(data.subarray(0, 6), {type: 'MESSAGE, PART 1/2'})
+    const part2 = Base64.encodeArmor(data.subarray(6), {type: 'MESSAGE, PART 2/2'})
+    const [block] = Base64.decodeArmor(part1 + part2)
+    assert.equal(block.type, 'MESSAGE')
+    assert.deepEqual(block.data, data)
+  })
+})
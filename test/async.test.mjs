@@ -0,0 +1,54 @@
+import { strict as assert } from 'assert'
+import { Readable } from 'stream'
+import Base64 from '../lib/index.mjs'
+
+const {Base64InvalidCharacterError} = Base64
+
+const large = Uint8Array.from({length: 3 * 1024 * 1024 + 5}, (value, index) => index * 31 & 0xff)
+
+const itIf = condition => condition ? it : it.skip
+
+describe('async coders', () => {
+  it('matches the synchronous output on inputs split across workers', async () => {
+    const encoded = await Base64.encodeAsync(large, {output: 'string'})
+    assert.equal(encoded, Base64.encodeToString(large))
+    assert.deepEqual(await Base64.decodeAsync(encoded), large)
+  })
+
+  it('accepts async iterables of buffer sources', async () => {
+    const encoded = await Base64.encodeAsync(Readable.from([Buffer.from('Hello, '), Buffer.from('world!')]), {output: 'string'})
+    assert.equal(encoded, 'SGVsbG8sIHdvcmxkIQ==')
+  })
+
+  it('rebuilds library errors thrown in workers with absolute indices', async () => {
+    const encoded = Base64.encodeToString(large)
+    const index = encoded.length - 1000
+    const invalid = `${encoded.slice(0, index)}!${encoded.slice(index + 1)}`
+    await assert.rejects(Base64.decodeAsync(invalid), error => {
+      assert.ok(error instanceof Base64InvalidCharacterError)
+      assert.equal(error.code, 'ERR_BASE64_INVALID_CHARACTER')
+      assert.equal(error.index, index)
+      assert.equal(error.character, '!')
+      assert.equal(error.input, invalid)
+      assert.match(error.message, new RegExp(` at index ${index} `))
+      return true
+    })
+    await assert.rejects(Base64.decodeAsync(Buffer.from(invalid, 'latin1')), {code: 'ERR_BASE64_INVALID_CHARACTER', index, byte: 0x21})
+  })
+
+  itIf(typeof AbortController === 'function')('rejects when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const promise = Base64.encodeAsync(large, {signal: controller.signal})
+    controller.abort()
+    await assert.rejects(promise, {name: 'AbortError'})
+  })
+
+  itIf(typeof AbortController === 'function')('keeps working after running tasks are aborted', async () => {
+    const controller = new AbortController()
+    const encoded = Base64.encodeToString(large)
+    const promise = Base64.decodeAsync(encoded, {signal: controller.signal})
+    setImmediate(() => controller.abort())
+    await assert.rejects(promise, {name: 'AbortError'})
+    assert.deepEqual(await Base64.decodeAsync(encoded), large)
+  })
+})
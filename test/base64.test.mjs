@@ -0,0 +1,303 @@
+import { strict as assert } from 'assert'
+import { readFileSync } from 'fs'
+import { createRequire } from 'module'
+import Base64 from '../lib/index.mjs'
+import * as stream from '../lib/stream.mjs'
+import * as jose from '../lib/jose.mjs'
+
+const require = createRequire(import.meta.url)
+
+const RFC4648_VECTORS = [
+  ['', ''],
+  ['f', 'Zg=='],
+  ['fo', 'Zm8='],
+  ['foo', 'Zm9v'],
+  ['foob', 'Zm9vYg=='],
+  ['fooba', 'Zm9vYmE='],
+  ['foobar', 'Zm9vYmFy']
+]
+
+const bytes = (...values) => Uint8Array.from(values)
+
+const itIf = condition => condition ? it : it.skip
+
+describe('Base64', () => {
+  describe('alphabets', () => {
+    it('encodes and decodes the RFC 4648 test vectors', () => {
+      for (const [text, encoded] of RFC4648_VECTORS) {
+        assert.equal(Base64.encodeText(text), encoded)
+        assert.equal(Base64.decodeText(encoded), text)
+      }
+    })
+
+    it('encodes with the URL-safe alphabet of RFC 4648 section 5', () => {
+      const input = bytes(0x00, 0x02, 0x04, 0x08, 0x0f, 0x1f, 0x3f, 0x7f, 0xff, 0xfb)
+      assert.equal(Base64.encodeToString(input), 'AAIECA8fP3//+w==')
+      assert.equal(Base64.encodeURLSafeToString(input), 'AAIECA8fP3__-w==')
+      assert.deepEqual(Base64.decodeURLSafeFromString('AAIECA8fP3__-w=='), input)
+      assert.equal(Base64.URL.alphabet, Base64.URL_ALPHABET)
+    })
+
+    it('round-trips every byte value through a custom alphabet', () => {
+      const base64 = new Base64('+/0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz')
+      const input = Uint8Array.from({length: 256}, (value, index) => index)
+      assert.deepEqual(base64.decodeFromString(base64.encodeToString(input)), input)
+      assert.equal(base64.encodeText('Ave, Darkwolf!'), 'ELNZ90/2ML7fRqxgNW2=')
+    })
+
+    it('rejects alphabets with duplicate, missing or padding characters', () => {
+      assert.equal(Base64.isAlphabet(Base64.ALPHABET), true)
+      assert.equal(Base64.isAlphabet(Base64.URL_ALPHABET), true)
+      assert.equal(Base64.isAlphabet(`${Base64.ALPHABET.slice(0, 63)}=`), false)
+      assert.equal(Base64.isAlphabet(`${Base64.ALPHABET.slice(0, 63)}A`), false)
+      assert.equal(Base64.isAlphabet(Base64.ALPHABET.slice(1)), false)
+      assert.throws(() => new Base64(Base64.ALPHABET.slice(1)), RangeError)
+    })
+
+    it('exposes the same API from the CommonJS build', () => {
+      const CommonJSBase64 = require('../lib/index.cjs')
+      assert.equal(CommonJSBase64.encodeText('foobar'), 'Zm9vYmFy')
+      assert.deepEqual(Object.getOwnPropertyNames(CommonJSBase64).sort(), Object.getOwnPropertyNames(Base64).sort())
+      assert.deepEqual(Object.keys(require('../lib/stream.cjs')).sort(), Object.keys(stream).sort())
+      assert.deepEqual(Object.keys(require('../lib/jose.cjs')).sort(), Object.keys(jose).sort())
+    })
+
+    it('keeps Node built-ins out of the main entry', () => {
+      for (const file of ['../lib/index.mjs', '../lib/index.cjs']) {
+        const source = readFileSync(new URL(file, import.meta.url), 'latin1')
+        const specifiers = [...source.matchAll(/^(?:import [^]*? from |const [^]*? = require\()'([^']+)'/gm)].map(match => match[1])
+        assert.deepEqual(specifiers, ['@darkwolf/primordials'])
+      }
+    })
+  })
+
+  describe('options', () => {
+    it('pads every encoding method by default', () => {
+      assert.equal(Base64.encodeToString(bytes(0x41)), 'QQ==')
+      assert.deepEqual(Base64.encode(bytes(0x41)), bytes(0x51, 0x51, 0x3d, 0x3d))
+      assert.deepEqual(Base64.decodeFromString('QQ'), bytes(0x41))
+      assert.deepEqual(Base64.decodeFromString('QQ=='), bytes(0x41))
+    })
+
+    it('encodes lengths that are not a multiple of 3 the same way in every method', () => {
+      const input = bytes(1, 2, 3, 4)
+      const output = new Uint8Array(Base64.encodedLength(input.length))
+      assert.equal(output.length, 8)
+      assert.deepEqual(Base64.encodeInto(input, output), {read: 4, written: 8})
+      const encoder = Base64.createEncoder()
+      const streamed = [...encoder.update(input), ...encoder.final()]
+      assert.equal(Base64.encodeToString(input), 'AQIDBA==')
+      assert.equal(Buffer.from(Base64.encode(input)).toString('latin1'), 'AQIDBA==')
+      assert.equal(Buffer.from(output).toString('latin1'), 'AQIDBA==')
+      assert.equal(Buffer.from(streamed).toString('latin1'), 'AQIDBA==')
+      assert.equal(Base64.encodeText('\x01\x02\x03\x04'), 'AQIDBA==')
+    })
+
+    it('applies the always and never padding policies to every method', () => {
+      const padded = new Base64(Base64.ALPHABET, {padding: 'always'})
+      const unpadded = new Base64(Base64.URL_ALPHABET, {padding: 'never'})
+      assert.deepEqual(padded.encode(bytes(0x41)), bytes(0x51, 0x51, 0x3d, 0x3d))
+      assert.equal(unpadded.encodeText('Ave, Darkwolf!'), 'QXZlLCBEYXJrd29sZiE')
+      assert.throws(() => padded.decodeFromString('QQ'), {code: 'ERR_BASE64_INVALID_LENGTH', index: 2})
+      assert.throws(() => unpadded.decodeFromString('QXZlLCBEYXJrd29sZiE='), {code: 'ERR_BASE64_UNEXPECTED_PADDING', index: 19})
+    })
+
+    it('uses custom padding and negative characters', () => {
+      const base64 = new Base64(Base64.URL_ALPHABET, {paddingChar: '.', negativeChar: '~'})
+      assert.equal(base64.encodeText('f'), 'Zg..')
+      assert.equal(base64.decodeText('Zg..'), 'f')
+      assert.equal(base64.encodeInt(-Number.MAX_SAFE_INTEGER), '~f________')
+      assert.equal(base64.decodeInt('~f________'), -Number.MAX_SAFE_INTEGER)
+      assert.throws(() => Base64.URL.encodeInt(-1), RangeError)
+    })
+  })
+
+  describe('strict decoding', () => {
+    const strict = new Base64(Base64.ALPHABET, {strict: true})
+
+    it('accepts canonical input', () => {
+      assert.deepEqual(strict.decodeFromString('QQ=='), bytes(0x41))
+      assert.deepEqual(strict.decodeFromString('Zm9vYmFy'), new TextEncoder().encode('foobar'))
+    })
+
+    it('rejects non-zero trailing bits', () => {
+      assert.throws(() => strict.decodeFromString('QR=='), {code: 'ERR_BASE64_TRAILING_BITS', index: 1, character: 'R'})
+    })
+
+    it('rejects missing and misplaced padding', () => {
+      assert.throws(() => strict.decodeFromString('QQ='), {code: 'ERR_BASE64_MISSING_PADDING', index: 3})
+      assert.throws(() => strict.decodeFromString('QQ==QQ=='), {code: 'ERR_BASE64_UNEXPECTED_PADDING', index: 2})
+    })
+
+    it('requires padding unless padding is never', () => {
+      assert.throws(() => strict.decodeFromString('QQ'), {code: 'ERR_BASE64_MISSING_PADDING', index: 2})
+      assert.equal(strict.validate('QQ').errorKind, 'missing-padding')
+      const unpadded = new Base64(Base64.ALPHABET, {strict: true, padding: 'never'})
+      assert.deepEqual(unpadded.decodeFromString('QQ'), bytes(0x41))
+    })
+
+    it('reports padding after a lone character as a padding error', () => {
+      assert.throws(() => strict.decodeFromString('A==='), {code: 'ERR_BASE64_UNEXPECTED_PADDING', index: 1})
+      assert.throws(() => strict.decodeFromString('QUJDA='), {code: 'ERR_BASE64_UNEXPECTED_PADDING', index: 5})
+      const {errorIndex, errorKind} = strict.validate('A===')
+      assert.deepEqual({errorIndex, errorKind}, {errorIndex: 1, errorKind: 'unexpected-padding'})
+      assert.throws(() => strict.decodeFromString('A'), {code: 'ERR_BASE64_INCOMPLETE_GROUP', index: 0})
+    })
+
+    it('accepts the strict option per call', () => {
+      assert.throws(() => Base64.decodeFromString('QR==', {strict: true}), {code: 'ERR_BASE64_TRAILING_BITS', index: 1})
+      assert.throws(() => Base64.decode(bytes(0x51, 0x51), {strict: true}), {code: 'ERR_BASE64_MISSING_PADDING', index: 2})
+      assert.deepEqual(strict.decodeFromString('QR', {strict: false}), bytes(0x41))
+    })
+  })
+
+  describe('whitespace and line wrapping', () => {
+    it('wraps lines at the configured length', () => {
+      const pem = new Base64(Base64.ALPHABET, {lineLength: Base64.PEM_LINE_LENGTH, lineSeparator: '\n'})
+      const encoded = pem.encodeToString(new Uint8Array(64))
+      assert.deepEqual(encoded.split('\n').map(line => line.length), [64, 24])
+      assert.deepEqual(pem.decodeFromString(encoded), new Uint8Array(64))
+      assert.equal(Base64.MIME.encodeToString(new Uint8Array(60)).indexOf('\r\n'), Base64.MIME_LINE_LENGTH)
+    })
+
+    it('ignores ASCII whitespace only when asked to', () => {
+      const lenient = new Base64(Base64.ALPHABET, {ignoreWhitespace: true})
+      assert.equal(lenient.decodeText('QXZlLCBE\r\nYXJrd29s\r\n ZiE=\t'), 'Ave, Darkwolf!')
+      assert.throws(() => Base64.decodeText('QXZl\nLCBE'), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 4})
+    })
+
+    it('reports error indices in the original input', () => {
+      const lenient = new Base64(Base64.ALPHABET, {ignoreWhitespace: true})
+      assert.throws(() => lenient.decodeFromString('QX Zl\r\nL!BE'), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 8, character: '!'})
+    })
+  })
+
+  describe('encodeInto and decodeInto', () => {
+    const input = bytes(0x00, 0x02, 0x04, 0x08, 0x0f, 0x1f, 0x3f, 0x7f, 0xff)
+
+    it('writes into caller-provided buffers', () => {
+      const output = new Uint8Array(Base64.encodedLength(input.length))
+      assert.deepEqual(Base64.encodeInto(input, output), {read: 9, written: 12})
+      assert.equal(new TextDecoder().decode(output), 'AAIECA8fP3//')
+      const decoded = new Uint8Array(Base64.decodedLength('AAIECA8fP3//'))
+      assert.deepEqual(Base64.decodeInto('AAIECA8fP3//', decoded), {read: 12, written: 9})
+      assert.deepEqual(decoded, input)
+    })
+
+    it('computes lengths with padding and line wrapping', () => {
+      assert.equal(Base64.encodedLength(1), 4)
+      assert.equal(Base64.encodedLength(100, {lineLength: 76}), 138)
+      assert.equal(Base64.decodedLength('QQ=='), 1)
+    })
+
+    it('throws when the output is too small', () => {
+      assert.throws(() => Base64.decodeInto('AAIECA8fP3//', new Uint8Array(9), 1), RangeError)
+      assert.throws(() => Base64.encodeInto(input, new Uint8Array(11)), RangeError)
+    })
+  })
+
+  describe('errors', () => {
+    const {Base64InvalidCharacterError, Base64PaddingError, Base64LengthError} = Base64
+
+    it('throws structured errors for strings', () => {
+      assert.throws(() => Base64.decodeFromString('SG!s'), error => {
+        assert.ok(error instanceof Base64InvalidCharacterError)
+        assert.ok(error instanceof SyntaxError)
+        assert.equal(error.name, 'Base64InvalidCharacterError')
+        assert.equal(error.code, 'ERR_BASE64_INVALID_CHARACTER')
+        assert.equal(error.index, 2)
+        assert.equal(error.character, '!')
+        assert.equal(error.byte, undefined)
+        assert.equal(error.input, 'SG!s')
+        return true
+      })
+    })
+
+    it('reports the byte when decoding bytes', () => {
+      assert.throws(() => Base64.decode(bytes(0x53, 0x47, 0x80, 0x73)), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 2, byte: 0x80, character: undefined})
+    })
+
+    it('uses separate classes for padding and length errors', () => {
+      const padded = new Base64(Base64.ALPHABET, {padding: 'always'})
+      const unpadded = new Base64(Base64.ALPHABET, {padding: 'never'})
+      assert.throws(() => unpadded.decodeFromString('QQ=='), Base64PaddingError)
+      assert.throws(() => padded.decodeFromString('QQQ'), Base64LengthError)
+      assert.throws(() => new Base64(Base64.ALPHABET, {strict: true}).decodeFromString('QQQQQ'), {code: 'ERR_BASE64_INCOMPLETE_GROUP', index: 4})
+    })
+  })
+
+  describe('lenient decoding', () => {
+    it('skips or replaces invalid characters', () => {
+      assert.equal(Base64.decodeText('SGVs!bG8=', {onInvalid: 'skip'}), 'Hello')
+      assert.equal(Base64.decodeText('SGV!bG8=', {onInvalid: 'replace'}), 'He@lo')
+      assert.throws(() => Base64.decodeText('SGVs!bG8='), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 4})
+    })
+
+    it('reports every skipped character', () => {
+      const skipped = []
+      const result = Base64.decodeFromString('S!GVs?bG8=', {
+        onInvalid: 'skip',
+        onInvalidCharacter: error => skipped.push([error.index, error.character])
+      })
+      assert.deepEqual(result, new TextEncoder().encode('Hello'))
+      assert.deepEqual(skipped, [[1, '!'], [5, '?']])
+    })
+
+    it('keeps the always padding check', () => {
+      const padded = new Base64(Base64.ALPHABET, {padding: 'always'})
+      assert.throws(() => padded.decodeText('SGVsbG8', {onInvalid: 'skip'}), {code: 'ERR_BASE64_INVALID_LENGTH', index: 7})
+      assert.throws(() => padded.decodeText('SGVsbG8', {onInvalid: 'replace'}), {code: 'ERR_BASE64_INVALID_LENGTH', index: 7})
+      assert.throws(() => padded.decodeText('SGVs!bG8', {onInvalid: 'skip'}), {code: 'ERR_BASE64_INVALID_LENGTH', index: 8})
+      assert.equal(padded.decodeText('SGVs!bG8=', {onInvalid: 'skip'}), 'Hello')
+    })
+  })
+
+  describe('buffer sources', () => {
+    it('encodes any ArrayBufferView or ArrayBuffer', () => {
+      assert.equal(Base64.encodeToString(new Uint16Array([0x6548, 0x6c6c])), 'SGVsbA==')
+      const buffer = new TextEncoder().encode('__Hello__').buffer
+      assert.equal(Base64.encodeToString(new DataView(buffer, 2, 5)), 'SGVsbG8=')
+      assert.equal(Base64.encodeToString(buffer), Base64.encodeText('__Hello__'))
+      assert.deepEqual(Base64.decode(new TextEncoder().encode('SGVsbG8=').buffer), new TextEncoder().encode('Hello'))
+    })
+
+    itIf(typeof Blob === 'function')('encodes blobs', async () => {
+      assert.equal(await Base64.encodeBlob(new Blob(['Hello, world!']), {output: 'string'}), 'SGVsbG8sIHdvcmxkIQ==')
+    })
+  })
+
+  describe('text encodings', () => {
+    it('encodes and decodes UTF-8 by default', () => {
+      assert.equal(Base64.encodeText('🐺🐺🐺'), '8J+QuvCfkLrwn5C6')
+      assert.equal(Base64.decodeText('8J+QuvCfkLrwn5C6'), '🐺🐺🐺')
+    })
+
+    it('supports UTF-16LE and latin1', () => {
+      assert.equal(Base64.encodeText('Hé', {encoding: 'utf-16le'}), 'SADpAA==')
+      assert.equal(Base64.decodeText('SADpAA==', {encoding: 'utf-16le'}), 'Hé')
+      assert.equal(Base64.encodeText('Hé', {encoding: 'latin1'}), 'SOk=')
+      assert.equal(Base64.decodeText('SOk=', {encoding: 'latin1'}), 'Hé')
+    })
+
+    it('honours the fatal and ignoreBOM options', () => {
+      assert.throws(() => Base64.decodeText('SOk=', {fatal: true}), TypeError)
+      assert.throws(() => Base64.encodeText('Hж', {encoding: 'latin1', fatal: true}), TypeError)
+      assert.equal(Base64.decodeText('77u/SGk=', {ignoreBOM: true}), '\uFEFFHi')
+      assert.equal(Base64.decodeText('77u/SGk='), 'Hi')
+    })
+  })
+
+  describe('binary strings', () => {
+    it('matches the forgiving-base64 algorithm of btoa and atob', () => {
+      const binaryString = 'h\xE9llo\x00\xFF'
+      assert.equal(Base64.encodeBinaryString(binaryString), Buffer.from(binaryString, 'latin1').toString('base64'))
+      assert.equal(Base64.decodeToBinaryString(' aOls bG8 '), 'h\xE9llo')
+      assert.equal(Base64.URL.decodeToBinaryString('_-8'), '\xFF\xEF')
+    })
+
+    it('throws InvalidCharacterError like btoa and atob', () => {
+      assert.throws(() => Base64.encodeBinaryString('h\u20ACllo'), {name: 'InvalidCharacterError'})
+      assert.throws(() => Base64.decodeToBinaryString('a'), {name: 'InvalidCharacterError'})
+    })
+  })
+})
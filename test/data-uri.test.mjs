@@ -0,0 +1,31 @@
+import { strict as assert } from 'assert'
+import Base64 from '../lib/index.mjs'
+
+describe('data URIs', () => {
+  it('builds Base64 data URIs', () => {
+    assert.equal(Base64.toDataURI('Hello', {mediaType: 'text/plain', parameters: {charset: 'utf-8'}}), 'data:text/plain;charset=utf-8;base64,SGVsbG8=')
+  })
+
+  it('parses Base64 and percent-encoded data URIs', () => {
+    const parsed = Base64.parseDataURI('data:text/plain;charset=utf-8;base64,SGVsbG8=')
+    assert.equal(parsed.mediaType, 'text/plain')
+    assert.equal(parsed.parameters.charset, 'utf-8')
+    assert.equal(parsed.isBase64, true)
+    assert.deepEqual(parsed.data, new TextEncoder().encode('Hello'))
+    const plain = Base64.parseDataURI('data:,Hello%2C%20World%21')
+    assert.equal(plain.isBase64, false)
+    assert.equal(plain.parameters.charset, 'US-ASCII')
+    assert.equal(new TextDecoder().decode(plain.data), 'Hello, World!')
+  })
+
+  it('round-trips bytes', () => {
+    const input = Uint8Array.from({length: 100}, (value, index) => index * 3)
+    assert.deepEqual(Base64.parseDataURI(Base64.toDataURI(input, {mediaType: 'application/octet-stream'})).data, input)
+  })
+
+  it('rejects malformed data URIs', () => {
+    assert.throws(() => Base64.parseDataURI('data:text/;base64,SGk='), SyntaxError)
+    assert.throws(() => Base64.parseDataURI('data:text/plain;base64'), SyntaxError)
+    assert.throws(() => Base64.parseDataURI('data:;base64,S!k='), SyntaxError)
+  })
+})
@@ -0,0 +1,98 @@
+import { strict as assert } from 'assert'
+import Base64 from '../lib/index.mjs'
+
+describe('integers', () => {
+  describe('signed and fixed-width encodings', () => {
+    it('round-trips safe integers with the sign prefix', () => {
+      assert.equal(Base64.encodeInt(Number.MAX_SAFE_INTEGER), 'f////////')
+      assert.equal(Base64.encodeInt(-Number.MAX_SAFE_INTEGER), '-f////////')
+      assert.equal(Base64.decodeInt('-f////////'), -Number.MAX_SAFE_INTEGER)
+    })
+
+    it('pads to a fixed width that counts the sign', () => {
+      assert.equal(Base64.encodeInt(-5, {width: 4}), '-AAF')
+      assert.equal(Base64.encodeInt(5, {width: 4}), 'AAAF')
+      assert.equal(Base64.decodeInt('-AAF', {width: 4}), -5)
+      assert.throws(() => Base64.decodeInt('-AAAF', {width: 4}), RangeError)
+      assert.throws(() => Base64.decodeInt('AAAF', {width: 3}), RangeError)
+      assert.throws(() => Base64.encodeInt(-64, {width: 2}), RangeError)
+    })
+
+    it('encodes every 64-bit integer with the same length', () => {
+      const min = Base64.encodeBigInt(-(2n ** 63n), {bits: 64})
+      const max = Base64.encodeBigInt(2n ** 63n - 1n, {bits: 64})
+      assert.equal(min, '-IAAAAAAAAAA')
+      assert.equal(max, 'AH//////////')
+      assert.equal(Base64.encodeBigInt(0n, {bits: 64}).length, 12)
+      assert.equal(Base64.decodeBigInt(min, {bits: 64}), -(2n ** 63n))
+      assert.equal(Base64.decodeBigInt(max, {bits: 64}), 2n ** 63n - 1n)
+    })
+
+    it('encodes zigzag and two\'s complement values', () => {
+      assert.equal(Base64.encodeInt(-5, {signed: 'zigzag'}), 'J')
+      assert.equal(Base64.decodeInt('J', {signed: 'zigzag'}), -5)
+      assert.equal(Base64.encodeInt(-1, {signed: 'twos-complement', bits: 32}), 'D/////')
+      assert.equal(Base64.decodeInt('D/////', {signed: 'twos-complement', bits: 32}), -1)
+      assert.equal(Base64.encodeBigInt(-1n, {signed: 'twos-complement', bits: 64}), 'P//////////')
+      assert.equal(Base64.decodeBigInt('P//////////', {signed: 'twos-complement', bits: 64}), -1n)
+    })
+  })
+
+  describe('sortable encoding', () => {
+    it('preserves the order of integers', () => {
+      const values = [-1000000, -65, -64, -5, -1, 0, 1, 5, 63, 64, 1000000, Number.MAX_SAFE_INTEGER]
+      const encoded = values.map(value => Base64.SORTABLE.encodeInt(value))
+      assert.deepEqual([...encoded].sort(), encoded)
+      assert.deepEqual(encoded.map(value => Base64.SORTABLE.decodeInt(value)), values)
+      assert.equal(Base64.SORTABLE.encodeInt(-5), 'Tu')
+      assert.equal(Base64.SORTABLE.encodeInt(0), 'V')
+    })
+
+    it('preserves the order of fixed-width big integers and bytes', () => {
+      assert.equal(Base64.SORTABLE.encodeBigInt(-1n, {bits: 64}), '6zzzzzzzzzz')
+      assert.equal(Base64.SORTABLE.encodeBigInt(0n, {bits: 64}), '7----------')
+      const inputs = [[0], [0, 1], [1], [1, 2, 3, 4], [255]].map(values => Uint8Array.from(values))
+      const encoded = inputs.map(input => Base64.SORTABLE.encodeToString(input))
+      assert.deepEqual([...encoded].sort(), encoded)
+    })
+
+    it('rejects malformed length prefixes', () => {
+      assert.throws(() => Base64.SORTABLE.decodeInt('W'), {code: 'ERR_BASE64_INVALID_LENGTH'})
+    })
+  })
+
+  describe('decodeInt results', () => {
+    it('detects safe-integer overflow', () => {
+      assert.throws(() => Base64.decodeInt('//////////'), RangeError)
+      assert.equal(Base64.decodeInt('//////////', {type: 'auto'}), 1152921504606846975n)
+    })
+
+    it('returns the requested type', () => {
+      assert.equal(Base64.decodeInt('B', {type: 'auto'}), 1)
+      assert.equal(Base64.decodeInt('B', {type: 'bigint'}), 1n)
+      assert.throws(() => Base64.decodeInt('-'), RangeError)
+    })
+
+    it('rejects leading zeros in strict mode', () => {
+      assert.throws(() => new Base64(Base64.ALPHABET, {strict: true}).decodeInt('AB'), {code: 'ERR_BASE64_LEADING_ZERO', index: 0})
+    })
+  })
+
+  describe('floating-point numbers', () => {
+    it('round-trips IEEE 754 bit patterns', () => {
+      assert.equal(Base64.encodeFloat64(1.5), 'D/4AAAAAAAA')
+      assert.equal(Base64.decodeFloat64('D/4AAAAAAAA'), 1.5)
+      assert.equal(Base64.encodeFloat32(1.5), 'A/wAAA')
+      assert.equal(Base64.decodeFloat32('A/wAAA'), 1.5)
+      assert.ok(Object.is(Base64.decodeFloat64(Base64.encodeFloat64(-0)), -0))
+      assert.ok(Number.isNaN(Base64.decodeFloat64(Base64.encodeFloat64(NaN))))
+    })
+
+    it('preserves the order of numbers in sortable mode', () => {
+      const values = [-Infinity, -1e300, -2.5, -Number.MIN_VALUE, -0, 0, Number.MIN_VALUE, 1, 2.5, 1e300, Infinity]
+      const encoded = values.map(value => Base64.SORTABLE.encodeFloat64(value))
+      assert.deepEqual([...encoded].sort(), encoded)
+      assert.deepEqual(encoded.map(value => Base64.SORTABLE.decodeFloat64(value)), values)
+    })
+  })
+})
@@ -0,0 +1,37 @@
+import { strict as assert } from 'assert'
+import { generateKeyPairSync } from 'crypto'
+import Base64 from '../lib/index.mjs'
+
+const {publicKey} = generateKeyPairSync('ec', {namedCurve: 'P-256'})
+const pem = publicKey.export({type: 'spki', format: 'pem'})
+const der = new Uint8Array(publicKey.export({type: 'spki', format: 'der'}))
+
+describe('PEM', () => {
+  it('encodes the same PEM as node:crypto', () => {
+    assert.equal(Base64.encodePEM(der, 'PUBLIC KEY'), pem)
+  })
+
+  it('decodes every block and ignores the text around them', () => {
+    const blocks = Base64.decodePEM(`Subject: test\n${pem}\n${pem}trailing text\n`)
+    assert.equal(blocks.length, 2)
+    assert.equal(blocks[0].label, 'PUBLIC KEY')
+    assert.deepEqual(Object.keys(blocks[0].headers), [])
+    assert.deepEqual(blocks[1].data, der)
+  })
+
+  it('decodes strictly', () => {
+    assert.deepEqual(Base64.decodePEM(pem, {strict: true})[0].data, der)
+    const wrapped = pem.replace(/\n(?!-)/, '\n\n')
+    assert.throws(() => Base64.decodePEM(wrapped, {strict: true}), {name: 'Base64PEMError'})
+  })
+
+  it('reports mismatched labels with their position', () => {
+    assert.throws(() => Base64.decodePEM('-----BEGIN A-----\nAQID\n-----END B-----'), {
+      name: 'Base64PEMError',
+      code: 'ERR_BASE64_PEM_LABEL_MISMATCH',
+      label: 'A',
+      line: 3,
+      column: 10
+    })
+  })
+})
@@ -0,0 +1,64 @@
+import { strict as assert } from 'assert'
+import Base64, { Base16, Base32, Base32Hex, RadixInvalidCharacterError, RadixPaddingError, Base64InvalidCharacterError } from '../lib/index.mjs'
+
+const RFC4648_VECTORS = [
+  ['', '', '', ''],
+  ['f', '66', 'MY======', 'CO======'],
+  ['fo', '666F', 'MZXQ====', 'CPNG===='],
+  ['foo', '666F6F', 'MZXW6===', 'CPNMU==='],
+  ['foob', '666F6F62', 'MZXW6YQ=', 'CPNMUOG='],
+  ['fooba', '666F6F6261', 'MZXW6YTB', 'CPNMUOJ1'],
+  ['foobar', '666F6F626172', 'MZXW6YTBOI======', 'CPNMUOJ1E8======']
+]
+
+describe('radix codecs', () => {
+  const base16 = new Base16()
+  const base32 = new Base32()
+  const base32Hex = new Base32Hex()
+
+  it('encodes and decodes the RFC 4648 test vectors', () => {
+    for (const [text, base16Text, base32Text, base32HexText] of RFC4648_VECTORS) {
+      assert.equal(base16.encodeText(text), base16Text)
+      assert.equal(base32.encodeText(text), base32Text)
+      assert.equal(base32Hex.encodeText(text), base32HexText)
+      assert.equal(base16.decodeText(base16Text.toLowerCase()), text)
+      assert.equal(base32.decodeText(base32Text), text)
+      assert.equal(base32Hex.decodeText(base32HexText), text)
+    }
+  })
+
+  it('matches Buffer on every byte value and odd lengths', () => {
+    const input = Uint8Array.from({length: 515}, (value, index) => index * 13 & 0xff)
+    for (let length = 0; length < 12; length++) {
+      const slice = input.subarray(0, length)
+      assert.equal(Base64.encodeToString(slice), Buffer.from(slice).toString('base64'))
+      assert.equal(base16.encodeToString(slice), Buffer.from(slice).toString('hex').toUpperCase())
+      assert.deepEqual(base32.decodeFromString(base32.encodeToString(slice)), slice)
+    }
+    assert.equal(Base64.encodeToString(input), Buffer.from(input).toString('base64'))
+    assert.deepEqual(Base64.decode(Buffer.from(Buffer.from(input).toString('base64'))), input)
+    assert.deepEqual(base16.decodeFromString(Buffer.from(input).toString('hex')), input)
+  })
+
+  it('encodes integers', () => {
+    assert.equal(base32.encodeInt(12345), 'MBZ')
+    assert.equal(base16.encodeBigInt(-255n), '-FF')
+    assert.equal(base16.decodeBigInt('-FF'), -255n)
+  })
+
+  it('throws codec-neutral errors with codec-specific codes', () => {
+    assert.throws(() => new Base16('0123456789abcdef', {ignoreCase: false}).decodeFromString('FF'), error => {
+      assert.ok(error instanceof RadixInvalidCharacterError)
+      assert.ok(!(error instanceof Base64InvalidCharacterError))
+      assert.equal(error.code, 'ERR_BASE16_INVALID_CHARACTER')
+      assert.equal(error.index, 0)
+      return true
+    })
+    assert.throws(() => base32.decodeFromString('MZ!W6==='), {code: 'ERR_BASE32_INVALID_CHARACTER', index: 2})
+    assert.throws(() => new Base32Hex(undefined, {padding: 'never'}).decodeFromString('CO======'), error => error instanceof RadixPaddingError && error.code === 'ERR_BASE32HEX_UNEXPECTED_PADDING')
+  })
+
+  it('keeps the Base64 error classes as subclasses', () => {
+    assert.throws(() => Base64.decodeFromString('SG!s'), error => error instanceof Base64InvalidCharacterError && error instanceof RadixInvalidCharacterError)
+  })
+})
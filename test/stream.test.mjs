@@ -0,0 +1,109 @@
+import { strict as assert } from 'assert'
+import { Readable } from 'stream'
+import Base64 from '../lib/index.mjs'
+import { Base64EncoderStream, Base64DecoderStream } from '../lib/stream.mjs'
+
+const {Base64EncoderTransformStream, Base64DecoderTransformStream} = Base64
+
+const input = Uint8Array.from({length: 1000}, (value, index) => index * 7 & 0xff)
+
+const collect = async readable => {
+  const chunks = []
+  for await (const chunk of readable) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+const split = (data, size) => {
+  const chunks = []
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(data.subarray(i, i + size))
+  }
+  return chunks
+}
+
+const itIf = condition => condition ? it : it.skip
+
+describe('streams', () => {
+  it('encodes and decodes through Node streams in odd-sized chunks', async () => {
+    const encoded = await collect(Readable.from(split(input, 7)).pipe(new Base64EncoderStream()))
+    assert.deepEqual(new Uint8Array(encoded), Base64.encode(input))
+    const decoded = await collect(Readable.from(split(encoded, 5)).pipe(new Base64DecoderStream()))
+    assert.deepEqual(new Uint8Array(decoded), input)
+  })
+
+  it('keeps the alphabet and options of the instance', async () => {
+    const encoded = await collect(Readable.from([input]).pipe(new Base64EncoderStream(Base64.MIME)))
+    assert.deepEqual(new Uint8Array(encoded), Base64.MIME.encode(input))
+    const decoded = await collect(Readable.from(split(encoded, 3)).pipe(new Base64DecoderStream(Base64.MIME)))
+    assert.deepEqual(new Uint8Array(decoded), input)
+  })
+
+  it('fails on invalid input', async () => {
+    await assert.rejects(collect(Readable.from([Buffer.from('QUJD'), Buffer.from('Q!==')]).pipe(new Base64DecoderStream())), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 5})
+  })
+
+  itIf(typeof ReadableStream === 'function')('encodes and decodes through WHATWG transform streams', async () => {
+    const source = new ReadableStream({
+      start(controller) {
+        for (const chunk of split(input, 11)) {
+          controller.enqueue(chunk)
+        }
+        controller.close()
+      }
+    })
+    const decoded = await collect(source.pipeThrough(new Base64EncoderTransformStream()).pipeThrough(new Base64DecoderTransformStream()))
+    assert.deepEqual(new Uint8Array(decoded), input)
+  })
+})
+
+describe('incremental coders', () => {
+  it('encodes across update calls', () => {
+    const encoder = Base64.createEncoder({output: 'string'})
+    assert.equal(encoder.update(Uint8Array.of(0x00, 0x02, 0x04, 0x08)), 'AAIE')
+    assert.equal(encoder.update(Uint8Array.of(0x0f, 0x1f, 0x3f, 0x7f, 0xff)), 'CA8fP3//')
+    assert.equal(encoder.final(), '')
+  })
+
+  it('decodes strings and bytes across update calls', () => {
+    const decoder = Base64.createDecoder()
+    assert.deepEqual(decoder.update('AAIECA'), Uint8Array.of(0x00, 0x02, 0x04))
+    assert.deepEqual(decoder.update(Uint8Array.of(0x38, 0x66, 0x50, 0x33, 0x2f, 0x2f)), Uint8Array.of(0x08, 0x0f, 0x1f, 0x3f, 0x7f, 0xff))
+    assert.deepEqual(decoder.final(), new Uint8Array(0))
+  })
+
+  it('rejects data after padding as soon as it arrives', () => {
+    const decoder = Base64.createDecoder()
+    assert.deepEqual(decoder.update('QUJD'), Uint8Array.of(0x41, 0x42, 0x43))
+    assert.deepEqual(decoder.update('QQ=='), new Uint8Array(0))
+    assert.throws(() => decoder.update('QQ=='), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 6})
+  })
+
+  it('reports error indices from the start of the stream', () => {
+    const decoder = Base64.MIME.createDecoder()
+    decoder.update('QUJD\r\n')
+    decoder.update('QUJD')
+    assert.throws(() => {
+      decoder.update('Q!')
+      decoder.final()
+    }, {code: 'ERR_BASE64_INVALID_CHARACTER', index: 11, byte: 0x21})
+  })
+
+  it('counts indices of non-Latin-1 characters from the start of the stream', () => {
+    const decoder = Base64.createDecoder()
+    assert.deepEqual(decoder.update('QUJDQU'), Uint8Array.of(0x41, 0x42, 0x43))
+    assert.throws(() => decoder.update('J€'), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 7, character: '€'})
+    const chunked = Base64.createDecoder()
+    chunked.update('QUJD')
+    assert.throws(() => chunked.update('QU!D'), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 6, byte: 0x21})
+  })
+
+  it('starts over after final', () => {
+    const decoder = Base64.createDecoder()
+    decoder.update('QQ')
+    assert.deepEqual(decoder.final(), Uint8Array.of(0x41))
+    decoder.update('Q!==')
+    assert.throws(() => decoder.final(), {code: 'ERR_BASE64_INVALID_CHARACTER', index: 1})
+  })
+})
@@ -0,0 +1,44 @@
+import { strict as assert } from 'assert'
+import Base64 from '../lib/index.mjs'
+
+describe('validation', () => {
+  it('reports valid input', () => {
+    assert.deepEqual(Base64.validate('SGVsbG8='), {valid: true, errorIndex: -1, errorKind: null, paddingCount: 1, decodedLength: 5, variant: null})
+    assert.equal(Base64.URL.validate('a-b_').variant, 'url')
+  })
+
+  it('reports the position and kind of the first error', () => {
+    assert.deepEqual(Base64.validate('SGV!bG8='), {valid: false, errorIndex: 3, errorKind: 'invalid-character', paddingCount: 1, decodedLength: 0, variant: null})
+    const {errorIndex, errorKind} = Base64.validate('SGVsbG8', {padding: 'always'})
+    assert.deepEqual({errorIndex, errorKind}, {errorIndex: 7, errorKind: 'invalid-length'})
+    assert.equal(Base64.validate('SGVsbG9=', {strict: true}).errorKind, 'trailing-bits')
+  })
+})
+
+describe('variant detection', () => {
+  it('detects known variants', () => {
+    assert.deepEqual(Base64.detect('a-b_'), {variants: ['url'], ambiguous: false})
+    assert.deepEqual(Base64.detect('SGVsbG8'), {variants: ['unpadded', 'url'], ambiguous: true})
+    assert.deepEqual(Base64.detect('SGVs\r\nbG8='), {variants: ['mime', 'mime-url'], ambiguous: true})
+  })
+
+  it('decodes line-wrapped URL-safe input', () => {
+    assert.deepEqual(Base64.detect('QU-_\r\nQUJD'), {variants: ['mime-url'], ambiguous: false})
+    const {result, variant} = Base64.decodeAny('QU-_\r\nQUJD')
+    assert.equal(variant, 'mime-url')
+    assert.deepEqual(result, Base64.URL.decodeFromString('QU-_QUJD'))
+  })
+
+  it('throws an unknown encoding error when no variant matches', () => {
+    assert.throws(() => Base64.decodeAny('a-b/'), error => {
+      assert.ok(error instanceof Base64.Base64InvalidCharacterError)
+      assert.equal(error.code, 'ERR_BASE64_UNKNOWN_ENCODING')
+      assert.deepEqual(error.candidates, ['standard', 'unpadded', 'url'])
+      assert.equal(error.index, 1)
+      assert.equal(error.character, '-')
+      assert.equal(error.input, 'a-b/')
+      return true
+    })
+    assert.throws(() => Base64.decodeAny('a-b/\r\nQUJD'), {code: 'ERR_BASE64_UNKNOWN_ENCODING', candidates: ['mime', 'mime-url']})
+  })
+})
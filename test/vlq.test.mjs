@@ -0,0 +1,30 @@
+import { strict as assert } from 'assert'
+import Base64 from '../lib/index.mjs'
+
+const {Base64LengthError} = Base64
+
+describe('VLQ', () => {
+  it('encodes and decodes source map values', () => {
+    assert.equal(Base64.encodeVLQ(16), 'gB')
+    assert.equal(Base64.encodeVLQ([0, 0, 16, 1]), 'AAgBC')
+    assert.deepEqual(Base64.decodeVLQ('AAgBC'), [0, 0, 16, 1])
+    assert.deepEqual(Base64.decodeVLQ(Base64.encodeVLQ([-2147483648, 2147483647])), [-2147483648, 2147483647])
+  })
+
+  it('encodes and decodes mappings', () => {
+    const mappings = [[[0, 0, 0, 0], [9, 0, 0, 9, 0]], [], [[0, 0, 1, 0]]]
+    assert.deepEqual(Base64.decodeVLQMappings('AAAA,SAASA;;AACA'), mappings)
+    assert.equal(Base64.encodeVLQMappings(mappings), 'AAAA,SAASA;;AACA')
+  })
+
+  it('rejects truncated and overlong sequences', () => {
+    assert.throws(() => Base64.decodeVLQ('AAg'), {code: 'ERR_BASE64_TRUNCATED_VLQ', index: 2})
+    assert.throws(() => Base64.decodeVLQ('gggggggA'), error => error instanceof Base64LengthError && error.code === 'ERR_BASE64_OVERLONG_VLQ' && error.index === 0)
+  })
+
+  it('rejects values outside the signed 32-bit range', () => {
+    assert.throws(() => Base64.encodeVLQ(1.5), RangeError)
+    assert.throws(() => Base64.encodeVLQ(2147483648), RangeError)
+    assert.throws(() => Base64.encodeVLQ(NaN), RangeError)
+  })
+})